@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// ---------------- webbaseline CLI ----------------
+// Checks project files against Baseline, e.g. `npx webbaseline "src/**/*.css" --target 2023`
+const { run } = require("../src/cli");
+
+// A crash (unreadable file, failed write, analyzer error) exits with 2, never with the "problems found" code 1
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,115 @@
+// ---------------- Imports ----------------
+// Offline catalog of fallbacks, polyfills and progressive-enhancement patterns, keyed by web-features id
+// Bundled entries live in alternatives.json; a workspace can add its own in .baseline-alternatives.json
+const fs = require("fs");
+const path = require("path");
+const bundledCatalog = require("./alternatives.json");
+
+const catalogFileName = ".baseline-alternatives.json";
+
+const kindLabels = {
+  fallback: "Fallback",
+  polyfill: "Polyfill",
+  enhancement: "Progressive enhancement",
+};
+
+// ---------------- Workspace catalog ----------------
+// Directory → parsed .baseline-alternatives.json that applies to it (or null)
+const catalogFileCache = new Map();
+
+/**
+ * Parses a .baseline-alternatives.json: the same shape as alternatives.json
+ * { "<web-features id>": { summary, link, alternatives: [{ kind, title, description, language, code, link }] } }
+ * Entries without an alternatives list are skipped
+ */
+function parseCatalogFile(file, content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("expected an object keyed by feature id");
+
+  const entries = Object.fromEntries(Object.entries(data).filter(([, entry]) => Array.isArray(entry?.alternatives)));
+  return { file, entries };
+}
+
+/**
+ * Finds the nearest .baseline-alternatives.json in a directory or its parents
+ * Returns `null` when there is none or it is invalid
+ */
+function loadCatalogFile(directory) {
+  if (catalogFileCache.has(directory)) return catalogFileCache.get(directory);
+
+  let catalogFile = null;
+  const file = path.join(directory, catalogFileName);
+  if (fs.existsSync(file)) {
+    try {
+      catalogFile = parseCatalogFile(file, fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      console.error(`Invalid ${catalogFileName}:`, error.message);
+    }
+  } else if (path.dirname(directory) !== directory) {
+    catalogFile = loadCatalogFile(path.dirname(directory));
+  }
+  catalogFileCache.set(directory, catalogFile);
+  return catalogFile;
+}
+
+/**
+ * Forgets loaded .baseline-alternatives.json files (after one changed)
+ */
+function clearCatalogFiles() {
+  catalogFileCache.clear();
+}
+
+// ---------------- Lookup ----------------
+/**
+ * Returns the catalog entry of the first id that has one, as { id, summary, link, alternatives }
+ * Workspace alternatives come before the bundled ones for the same id (each tagged with its `origin`)
+ */
+function findAlternatives(ids, catalogFile = null) {
+  for (const id of ids.filter(Boolean)) {
+    const bundled = bundledCatalog[id];
+    const workspace = catalogFile?.entries[id];
+    if (!bundled && !workspace) continue;
+
+    return {
+      id,
+      summary: workspace?.summary || bundled?.summary,
+      link: workspace?.link || bundled?.link,
+      alternatives: [
+        ...(workspace?.alternatives || []).map(a => ({ ...a, origin: "workspace" })),
+        ...(bundled?.alternatives || []).map(a => ({ ...a, origin: "bundled" })),
+      ],
+    };
+  }
+  return null;
+}
+
+// ---------------- Markdown ----------------
+/**
+ * Writes a catalog entry as Markdown for the chat panel
+ */
+function formatAlternatives(entry, feature) {
+  const lines = [`**Offline alternatives** for \`${feature}\``, ""];
+  if (entry.summary) lines.push(entry.summary, "");
+
+  entry.alternatives.forEach((alternative) => {
+    const kind = kindLabels[alternative.kind] || "Alternative";
+    const origin = alternative.origin === "workspace" ? ` *(${catalogFileName})*` : "";
+    lines.push(`### ${kind}: ${alternative.title}${origin}`, "");
+    if (alternative.description) lines.push(alternative.description, "");
+    if (alternative.code) lines.push(`\`\`\`${alternative.language || ""}`, alternative.code, "```", "");
+    if (alternative.link) lines.push(`[${alternative.link}](${alternative.link})`, "");
+  });
+
+  if (entry.link) lines.push(`[Documentation](${entry.link})`);
+  return lines.join("\n").trim();
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  catalogFileName,
+  parseCatalogFile,
+  loadCatalogFile,
+  clearCatalogFiles,
+  findAlternatives,
+  formatAlternatives
+};
@@ -0,0 +1,474 @@
+// ---------------- Imports ----------------
+const csstree = require("css-tree");
+const {
+  getCssBcdKey,
+  getAtRuleBcdKey,
+  getBcdStatus,
+  getBcdData,
+  createFinding,
+} = require("../baseline");
+
+// ---------------- Value index ----------------
+// CSS functions and units mapped to their css.types.* keys (built on first use)
+let valueIndex = null;
+
+/**
+ * Reads function names (`<code>clamp()</code>`) and units (`<code>dvh</code>, ... units`)
+ * from the descriptions of the css.types.* compat features
+ */
+function buildValueIndex() {
+  const functions = new Map();
+  const units = new Map();
+
+  const walk = (data, path) => {
+    for (const [name, child] of Object.entries(data)) {
+      if (name === "__compat" || !child || typeof child !== "object") continue;
+      const key = `${path}.${name}`;
+      const description = child.__compat?.description || "";
+      const codes = [...description.matchAll(/<code>([^<]+)<\/code>/g)].map(m => m[1]);
+
+      codes.forEach((code) => {
+        if (/^[a-zA-Z][\w-]*\(\)$/.test(code)) {
+          const fn = code.slice(0, -2).toLowerCase();
+          if (!functions.has(fn)) functions.set(fn, key);
+        } else if (/\bunits?\b/.test(description) && /^[a-zA-Z]+$/.test(code)) {
+          const unit = code.toLowerCase();
+          if (!units.has(unit)) units.set(unit, key);
+        }
+      });
+      walk(child, key);
+    }
+  };
+
+  walk(getBcdData("css.types") || {}, "css.types");
+  return { functions, units };
+}
+
+/**
+ * Returns the function and unit index, building it on first use
+ */
+function getValueIndex() {
+  if (!valueIndex) valueIndex = buildValueIndex();
+  return valueIndex;
+}
+
+// ---------------- Parsing ----------------
+
+/**
+ * Blanks out `//` line comments (SCSS/LESS) with spaces so offsets stay intact
+ * The `:` guard keeps URLs like `url(https://...)` untouched
+ */
+function stripLineComments(text) {
+  return text.replace(/(^|[^:"'\\])(\/\/[^\n]*)/g, (_, before, comment) => before + " ".repeat(comment.length));
+}
+
+/**
+ * Parses `text[start, end)` with css-tree and calls `visit` for every node
+ * css-tree keeps what it cannot parse (nested rules, preprocessor syntax) as Raw nodes,
+ * so those are parsed again in the other context to reach the declarations inside
+ */
+function walkCss(text, start, end, context, depth, visit) {
+  const ast = csstree.parse(text.slice(start, end), {
+    context,
+    offset: start,
+    positions: true,
+    onParseError() {}, // keep going, broken parts become Raw nodes
+  });
+
+  csstree.walk(ast, function (node) {
+    const nested = node.type === "Raw" &&
+      depth < 8 &&
+      !this.declaration &&
+      !this.atrulePrelude &&
+      this.rule?.prelude !== node;
+
+    if (nested && node.value.trim()) {
+      const next = this.block || context !== "stylesheet" ? "stylesheet" : "declarationList";
+      walkCss(text, node.loc.start.offset, node.loc.end.offset, next, depth + 1, visit);
+      return;
+    }
+    visit.call(this, node);
+  });
+}
+
+// ---------------- Declarations ----------------
+// Inside these at-rules declarations are descriptors (css.at-rules.font-face.font-display)
+const descriptorAtRules = ["font-face", "counter-style", "font-palette-values", "property", "page", "view-transition"];
+
+/**
+ * Records the baseline status of a declaration's property name
+ * (or of the descriptor when the declaration sits in an at-rule like @font-face)
+ */
+function checkDeclaration(node, atrule, findings) {
+  const property = node.property;
+
+  // Custom properties and preprocessor variables have no compat data
+  if (property.startsWith("--") || /^[$@]/.test(property)) return;
+
+  let key = getCssBcdKey(property.toLowerCase());
+  if (atrule && descriptorAtRules.includes(atrule.name.toLowerCase())) {
+    const descriptorKey = `${getAtRuleBcdKey(atrule.name.toLowerCase())}.${property.toLowerCase()}`;
+    if (getBcdStatus(descriptorKey)) key = descriptorKey;
+  }
+
+  const status = getBcdStatus(key);
+  if (status) findings.push(createFinding(node.loc.start.offset, property.length, property, key, "css", status));
+}
+
+// ---------------- Values ----------------
+
+/**
+ * Records the baseline status of keywords, functions and units in a declaration value
+ * - keywords: css.properties.<prop>.<keyword> (e.g. display: grid)
+ * - functions: css.properties.<prop>.<fn> or css.types.* (e.g. oklch(), clamp())
+ * - units: css.types.length.* and friends (e.g. dvh, cqi)
+ * `getGuard(token)` returns the guard of a keyword, function name or unit (see getDeclarationGuards)
+ */
+function checkValue(node, findings, getGuard = () => null) {
+  const property = node.property.toLowerCase();
+  if (property.startsWith("--") || !node.value || node.value.type === "Raw") return;
+
+  const propertyKey = getCssBcdKey(property);
+  const { functions, units } = getValueIndex();
+
+  const push = (loc, length, name, key, token) => {
+    const status = key && getBcdStatus(key);
+    if (status) findings.push(withGuard(createFinding(loc.start.offset, length, name, key, "css", status), getGuard(token)));
+  };
+
+  csstree.walk(node.value, (child) => {
+    if (!child.loc) return;
+
+    if (child.type === "Identifier") {
+      const keyword = child.name.toLowerCase();
+      push(child.loc, child.name.length, `${property}: ${keyword}`, `${propertyKey}.${keyword}`, keyword);
+    } else if (child.type === "Function") {
+      const fn = child.name.toLowerCase();
+      const key = getBcdStatus(`${propertyKey}.${fn}`) ? `${propertyKey}.${fn}` : functions.get(fn);
+      push(child.loc, child.name.length, `${fn}()`, key, fn);
+    } else if (child.type === "Dimension") {
+      const unit = child.unit.toLowerCase();
+      push(child.loc, child.loc.end.offset - child.loc.start.offset, unit, units.get(unit), unit);
+    }
+  });
+}
+
+// ---------------- Selectors ----------------
+// Combinators map to css.selectors.* (the descendant combinator is whitespace and has no range)
+const combinatorKeys = {
+  ">": "child",
+  "+": "next-sibling",
+  "~": "subsequent-sibling",
+  "||": "column",
+};
+
+/**
+ * Records the baseline status of pseudo-classes, pseudo-elements, nesting `&` and combinators
+ * SCSS/LESS compile `&` away, so nesting is only checked in plain CSS
+ */
+function checkSelector(node, languageId, findings) {
+  if (!node.loc) return;
+  const index = node.loc.start.offset;
+
+  const push = (length, name, key) => {
+    const status = getBcdStatus(key);
+    if (status) findings.push(createFinding(index, length, name, key, "css", status));
+  };
+
+  if (node.type === "PseudoClassSelector" || node.type === "PseudoElementSelector") {
+    const prefix = node.type === "PseudoClassSelector" ? ":" : "::";
+    const name = node.name.toLowerCase();
+    const label = `${prefix}${name}${node.children ? "()" : ""}`;
+    push(prefix.length + node.name.length, label, `css.selectors.${name}`);
+  } else if (node.type === "NestingSelector" && languageId === "css") {
+    push(1, "&", "css.selectors.nesting");
+  } else if (node.type === "Combinator" && combinatorKeys[node.name]) {
+    push(node.name.length, node.name, `css.selectors.${combinatorKeys[node.name]}`);
+  }
+}
+
+// ---------------- At-rules ----------------
+// Functions allowed in at-rule preludes, e.g. @supports selector() or @container style()
+const preludeFunctionKeys = {
+  container: { style: "style_queries_for_custom_properties", "scroll-state": "scroll-state_queries" },
+  supports: { selector: "selector", "font-format": "font-format", "font-tech": "font-tech" },
+  import: { layer: "layer", supports: "supports" },
+};
+
+/**
+ * Records the baseline status of an at-rule name (e.g. @container, @layer, @starting-style)
+ */
+function checkAtRule(node, findings) {
+  if (!node.loc) return;
+  const name = node.name.toLowerCase();
+  const key = getAtRuleBcdKey(name);
+  const status = getBcdStatus(key);
+  if (status) findings.push(createFinding(node.loc.start.offset, name.length + 1, `@${name}`, key, "css", status));
+}
+
+// At-rules whose preludes are queries of features, e.g. @media (hover) or @container (width > 400px)
+// Container size features (width, inline-size, aspect-ratio, ...) have no compat data of their own:
+// they are covered by the @container finding, and only get one if BCD adds a key for them
+const queryAtRules = new Set(["media", "container"]);
+
+/**
+ * Records the baseline status of what an at-rule prelude uses
+ * - query features: @media (prefers-reduced-motion), including min-/max- and range syntax, and @container features
+ * - prelude functions: @supports selector(), @container style(), @import layer()
+ */
+function checkAtRulePrelude(node, atrule, text, findings) {
+  if (!node.loc || !atrule) return;
+  const atruleName = atrule.name.toLowerCase();
+  const atruleKey = getAtRuleBcdKey(atruleName);
+
+  const push = (index, length, name, key) => {
+    const status = getBcdStatus(key);
+    if (status) findings.push(createFinding(index, length, name, key, "css", status));
+  };
+
+  if (queryAtRules.has(atruleName) && node.type === "Feature") {
+    const feature = node.name.toLowerCase();
+    const key = getBcdStatus(`${atruleKey}.${feature}`)
+      ? `${atruleKey}.${feature}`
+      : `${atruleKey}.${feature.replace(/^(min|max)-/, "")}`;
+    const index = text.indexOf(node.name, node.loc.start.offset);
+    push(index, node.name.length, `@${atruleName} (${feature.replace(/^(min|max)-/, "")})`, key);
+  } else if (queryAtRules.has(atruleName) && node.type === "FeatureRange") {
+    // e.g. (width >= 600px): the feature itself, then the range syntax over the whole condition
+    const feature = [node.left, node.middle, node.right].find(term => term?.type === "Identifier");
+    if (feature?.loc) {
+      const name = feature.name.toLowerCase();
+      push(feature.loc.start.offset, feature.name.length, `@${atruleName} (${name})`, `${atruleKey}.${name}`);
+    }
+    const length = node.loc.end.offset - node.loc.start.offset;
+    push(node.loc.start.offset, length, `@${atruleName} range syntax`, `${atruleKey}.range_syntax`);
+  } else if (node.type === "FeatureFunction" || node.type === "Function" || node.type === "GeneralEnclosed") {
+    // css-tree leaves functions it has no grammar for, like scroll-state(), as GeneralEnclosed
+    const fn = (node.feature || node.name || node.function || "").toLowerCase();
+    const subkey = preludeFunctionKeys[atruleName]?.[fn];
+    if (subkey) push(node.loc.start.offset, fn.length, `@${atruleName} ${fn}()`, `${atruleKey}.${subkey}`);
+  }
+}
+
+// ---------------- Guards ----------------
+// Guarded usages are skipped safely by browsers without support:
+// - tested by an enclosing @supports condition (or part of the condition itself)
+// - a value following an earlier declaration of the same property (the fallback)
+// - an unprefixed property next to its vendor-prefixed version
+const vendorPrefixRegex = /^-(webkit|moz|ms|o)-/;
+
+/**
+ * Adds a guard ({ type: "supports" | "fallback" | "prefix", detail }) to a finding
+ */
+function withGuard(finding, guard) {
+  return guard ? { ...finding, guard } : finding;
+}
+
+/**
+ * Adds a guard to the findings recorded from `start` on
+ */
+function guardFindings(findings, start, guard) {
+  for (let i = start; i < findings.length; i++) findings[i] = withGuard(findings[i], guard);
+}
+
+/**
+ * Collects the value tokens a declaration uses: keywords, function names and units
+ */
+function getValueTokens(value) {
+  const tokens = new Set();
+  csstree.walk(value, (node) => {
+    if (node.type === "Identifier" || node.type === "Function") tokens.add(node.name.toLowerCase());
+    else if (node.type === "Dimension") tokens.add(node.unit.toLowerCase());
+  });
+  return tokens;
+}
+
+/**
+ * Returns true if a @supports condition as a whole is negated: a leading `not`, also inside wrapping parentheses
+ */
+function isNegatedCondition(condition) {
+  let text = condition.trim();
+  while (text.startsWith("(") && text.endsWith(")") && getClosingParen(text, 0) === text.length - 1) text = text.slice(1, -1).trim();
+  return /^not\b/i.test(text);
+}
+
+/**
+ * Offset of the ")" closing the "(" at `start`, or -1
+ */
+function getClosingParen(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    else if (text[i] === ")" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Reads what a @supports rule tests: declarations (unprefixed property → value tokens)
+ * and the pseudo-classes/elements of selector() conditions
+ * Its block is only guarded when the condition is not negated as a whole with `not`;
+ * what a nested `not (...)` tests guards nothing
+ */
+function parseSupports(atrule, text) {
+  // The prelude's own loc can stop short of its closing parentheses: read up to the block
+  const preludeStart = atrule.loc.start.offset + atrule.name.length + 1;
+  const prelude = text.slice(preludeStart, atrule.block?.loc.start.offset ?? atrule.loc.end.offset).replace(/;$/, "");
+  const supports = {
+    guard: { type: "supports", detail: `@supports ${prelude.replace(/\s+/g, " ").trim()}` },
+    start: atrule.block?.loc.start.offset ?? -1,
+    end: atrule.block?.loc.end.offset ?? -1,
+    negated: isNegatedCondition(prelude),
+    properties: new Map(),
+    selectors: new Set(),
+  };
+
+  const negatedRanges = [];
+  const isNegated = node => negatedRanges.some(([start, end]) => start <= node.loc.start.offset && node.loc.end.offset <= end);
+
+  csstree.walk(atrule.prelude, function (node) {
+    const first = node.children?.first;
+    if (node.type === "Condition" && first?.type === "Identifier" && first.name.toLowerCase() === "not" && node.loc) {
+      negatedRanges.push([node.loc.start.offset, node.loc.end.offset]);
+    } else if (!node.loc || isNegated(node)) {
+      return;
+    } else if (node.type === "Declaration") {
+      const property = node.property.toLowerCase().replace(vendorPrefixRegex, "");
+      supports.properties.set(property, getValueTokens(node.value));
+    } else if (node.type === "PseudoClassSelector" || node.type === "PseudoElementSelector") {
+      supports.selectors.add(node.name.toLowerCase());
+    }
+  });
+  return supports;
+}
+
+/**
+ * Returns the parsed @supports rules whose block contains a node and guards it
+ */
+function getActiveSupports(node, supportsRules) {
+  if (!node.loc) return [];
+  const offset = node.loc.start.offset;
+  return [...supportsRules.values()].filter(s => !s.negated && s.start <= offset && offset < s.end);
+}
+
+/**
+ * Works out what guards a declaration and its value from the enclosing @supports rules
+ * and the other declarations of its block
+ * Returns { property, getValueGuard(token) } with guards or null
+ */
+function getDeclarationGuards(node, siblings, supports) {
+  const property = node.property.toLowerCase();
+  const unprefixed = property.replace(vendorPrefixRegex, "");
+  let fallback = null;
+  let prefixed = null;
+  let before = true;
+
+  siblings.forEach((sibling) => {
+    if (sibling === node) before = false;
+    if (sibling === node || sibling.type !== "Declaration") return;
+    const name = sibling.property.toLowerCase();
+    if (before && name === property) fallback = { type: "fallback", detail: `${sibling.property}: ${csstree.generate(sibling.value)}` };
+    if (name !== property && name.replace(vendorPrefixRegex, "") === property) prefixed = { type: "prefix", detail: sibling.property };
+  });
+
+  const tested = supports.find(s => s.properties.has(unprefixed));
+  return {
+    property: tested?.guard || prefixed,
+    getValueGuard: token => supports.find(s => s.properties.get(unprefixed)?.has(token))?.guard || prefixed || fallback,
+  };
+}
+
+// ---------------- Fix context ----------------
+// What the quick fixes need to rewrite a finding, stored as `finding.css`:
+// - rule: { start, end } of the enclosing style rule (wrapped in @supports)
+// - declaration: { start, end, property, value, important } the finding belongs to
+// - selector: source text of a pseudo-class/element (tested with @supports selector())
+
+/**
+ * Start and end offsets of a node, or `null`
+ */
+function getRange(node) {
+  return node?.loc ? { start: node.loc.start.offset, end: node.loc.end.offset } : null;
+}
+
+/**
+ * Describes the declaration a node belongs to, with offsets into `text`
+ */
+function getDeclarationContext(node, text) {
+  return {
+    start: node.loc.start.offset,
+    end: node.loc.end.offset,
+    property: node.property,
+    value: text.slice(node.value.loc.start.offset, node.value.loc.end.offset).trim(),
+    important: Boolean(node.important),
+  };
+}
+
+/**
+ * Adds the fix context to the findings recorded from `start` on
+ */
+function addFixContext(findings, start, css) {
+  for (let i = start; i < findings.length; i++) findings[i] = { ...findings[i], css };
+}
+
+/**
+ * Moves a finding (and its fix context) by `delta`, for CSS found inside a larger file
+ */
+function shiftFinding(finding, delta) {
+  const shifted = { ...finding, index: finding.index + delta };
+  if (finding.css) {
+    const move = range => range && { ...range, start: range.start + delta, end: range.end + delta };
+    shifted.css = { ...finding.css, rule: move(finding.css.rule), declaration: move(finding.css.declaration) };
+  }
+  return shifted;
+}
+
+// ---------------- Analyze stylesheet ----------------
+/**
+ * Finds CSS features in a stylesheet (or a CSS region of a larger file)
+ * `context` is "declarationList" for the content of a style="" attribute
+ * Returns findings with offsets relative to `text`
+ */
+function analyzeCss(text, languageId = "css", context = "stylesheet") {
+  const source = languageId === "css" ? text : stripLineComments(text);
+  const findings = [];
+  const supportsRules = new Map();
+
+  walkCss(source, 0, source.length, context, 0, function (node) {
+    const start = findings.length;
+
+    if (node.type === "Atrule") {
+      if (node.name.toLowerCase() === "supports" && node.prelude?.loc) supportsRules.set(node, parseSupports(node, source));
+      checkAtRule(node, findings);
+    } else if (node.type === "Declaration" && this.atrulePrelude) {
+      checkDeclaration(node, this.atrule, findings);
+      checkValue(node, findings);
+    } else if (node.type === "Declaration") {
+      const siblings = (this.block || this.root).children;
+      const guards = getDeclarationGuards(node, siblings, getActiveSupports(node, supportsRules));
+      checkDeclaration(node, this.atrule, findings);
+      guardFindings(findings, start, guards.property);
+      checkValue(node, findings, guards.getValueGuard);
+      addFixContext(findings, start, { rule: getRange(this.rule), declaration: getDeclarationContext(node, source) });
+    } else {
+      if (this.atrulePrelude) checkAtRulePrelude(node, this.atrule, source, findings);
+      checkSelector(node, languageId, findings);
+      if (findings.length > start) {
+        const tested = getActiveSupports(node, supportsRules).find(s => s.selectors.has(node.name?.toLowerCase()));
+        guardFindings(findings, start, tested?.guard);
+      }
+      if (this.rule && node.type.startsWith("Pseudo")) {
+        const selector = source.slice(node.loc.start.offset, node.loc.end.offset);
+        addFixContext(findings, start, { rule: getRange(this.rule), declaration: null, selector });
+      }
+    }
+
+    // Whatever a @supports condition tests is safe to use in the condition
+    const condition = this.atrulePrelude && supportsRules.get(this.atrule);
+    if (condition) guardFindings(findings, start, condition.guard);
+  });
+  return findings;
+}
+
+// ---------------- Exports ----------------
+module.exports = { analyzeCss, shiftFinding };
@@ -0,0 +1,274 @@
+// ---------------- Imports ----------------
+const { getHtmlBcdKey, getBcdStatus, createFinding } = require("../baseline");
+const { analyzeCss, shiftFinding } = require("./css");
+const { analyzeJs, blankNonCode } = require("./js");
+
+// ---------------- Patterns ----------------
+// A comment, or a tag with its name and raw attribute text (quoted values may contain ">")
+const tagRegex = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+// One attribute inside a tag: name, then an optional quoted or unquoted value
+const attributeRegex = /([^\s"'>/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+
+// Elements whose content is not markup (skipped until the closing tag)
+const rawTextElements = ["script", "style", "textarea", "title"];
+
+// <script type="..."> values that hold JavaScript (no type attribute also means JavaScript)
+const scriptTypes = ["module", "text/javascript", "application/javascript"];
+
+// lang="..." values of Vue/Svelte blocks, mapped to the language they are analyzed as
+const styleLangs = { css: "css", postcss: "css", scss: "scss", less: "less" };
+const scriptLangs = ["js", "jsx", "ts", "tsx"];
+
+// Top-level blocks of a Vue/Svelte component; they delimit the file and are not HTML elements
+const componentBlocks = ["template", "script", "style"];
+
+// Jinja/Django tags, blanked out of embedded CSS so they do not break parsing
+const templateTagRegex = /\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}/g;
+
+// ---------------- Attribute keys ----------------
+
+/**
+ * Resolves the BCD key of an attribute on an element
+ * Element-specific keys win over global attributes (e.g. html.elements.img.loading, html.global_attributes.popover)
+ */
+function getAttributeKey(tagName, attribute) {
+  if (attribute.startsWith("data-")) return "html.global_attributes.data_attributes";
+
+  const elementKey = `${getHtmlBcdKey(tagName)}.${attribute}`;
+  if (getBcdStatus(elementKey)) return elementKey;
+
+  const globalKey = `html.global_attributes.${attribute}`;
+  return getBcdStatus(globalKey) ? globalKey : null;
+}
+
+/**
+ * Resolves the BCD key of an enumerated attribute value
+ * BCD uses both `<attr>.<value>` (link.rel.preload) and `<attr>_<value>` (input.type_color)
+ */
+function getAttributeValueKey(tagName, attribute, attributeKey, value) {
+  const normalized = value.toLowerCase().replace(/\s+/g, "_");
+  const candidates = [
+    attributeKey && `${attributeKey}.${normalized}`,
+    `${getHtmlBcdKey(tagName)}.${attribute}_${normalized}`,
+  ];
+  return candidates.find(key => key && getBcdStatus(key)) || null;
+}
+
+// ---------------- Attributes ----------------
+/**
+ * Records the baseline status of each attribute of a tag and of its enumerated values
+ * `offset` is where the attribute text starts in the document
+ * The content of style="" attributes is added to `regions`
+ */
+function checkAttributes(tagName, attributes, offset, findings, regions) {
+  attributeRegex.lastIndex = 0;
+  let match;
+
+  while ((match = attributeRegex.exec(attributes))) {
+    const attribute = match[1].toLowerCase();
+    const index = offset + match.index;
+    const attributeKey = getAttributeKey(tagName, attribute);
+    const isGlobal = attributeKey?.startsWith("html.global_attributes.");
+    const label = isGlobal ? attribute : `<${tagName} ${attribute}>`;
+
+    if (attributeKey) {
+      findings.push(createFinding(index, match[1].length, label, attributeKey, "html", getBcdStatus(attributeKey)));
+    }
+
+    // Enumerated values, e.g. type="color" or rel="preload"
+    const rawValue = match[2];
+    if (!rawValue) continue;
+
+    const quoted = /^["']/.test(rawValue);
+    const value = quoted ? rawValue.slice(1, -1) : rawValue;
+    const valueIndex = index + match[0].length - rawValue.length + (quoted ? 1 : 0);
+
+    if (attribute === "style") {
+      regions.push({ start: valueIndex, end: valueIndex + value.length, context: "declarationList" });
+      continue;
+    }
+
+    // Whole value first, then each space-separated token (rel="preload stylesheet")
+    const tokens = [{ token: value.trim(), at: valueIndex + value.indexOf(value.trim()) }];
+    if (/\s/.test(value.trim())) {
+      for (const part of value.matchAll(/\S+/g)) tokens.push({ token: part[0], at: valueIndex + part.index });
+    }
+
+    for (const { token, at } of tokens) {
+      const valueKey = token && getAttributeValueKey(tagName, attribute, attributeKey, token);
+      if (!valueKey) continue;
+      const name = `<${tagName} ${attribute}="${token}">`;
+      findings.push(createFinding(at, token.length, name, valueKey, "html", getBcdStatus(valueKey)));
+      break;
+    }
+  }
+}
+
+// ---------------- Embedded CSS and scripts ----------------
+/**
+ * Runs the CSS analysis on a <style> block or style="" attribute (or the JS analysis on a <script> block)
+ * and shifts the findings back to document offsets
+ */
+function analyzeRegion(text, { start, end, context, language = "css" }) {
+  const source = text.slice(start, end).replace(templateTagRegex, m => " ".repeat(m.length));
+  const findings = context === "script" ? analyzeJs(source) : analyzeCss(source, language, context);
+  return findings.map(f => shiftFinding(f, start));
+}
+
+/**
+ * Reads an attribute value (e.g. type or lang) from a tag's raw attribute text
+ */
+function getAttributeValue(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*["']?([^"'\\s>]*)`, "i").exec(attributes);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Returns true if a <script> tag's attributes mark its content as JavaScript (or TypeScript via lang="ts")
+ */
+function isJavaScript(attributes) {
+  const type = getAttributeValue(attributes, "type");
+  const lang = getAttributeValue(attributes, "lang");
+  return (!type || scriptTypes.includes(type)) && (!lang || scriptLangs.includes(lang));
+}
+
+// ---------------- Analyze markup ----------------
+/**
+ * Finds HTML features in markup: element names (opening and closing tags),
+ * their attributes and enumerated attribute values
+ * CSS in <style> elements and style="" attributes and JavaScript in <script> elements are analyzed as well
+ * Comments and the content of other raw-text elements like <textarea> are skipped
+ * With `component` (Vue/Svelte files) the top-level <template>/<script>/<style> blocks are not reported as elements
+ */
+function analyzeHtml(text, { component = false } = {}) {
+  const findings = [];
+  const regions = [];
+  const lowerText = text.toLowerCase();
+  const templates = []; // whether each open <template> is a top-level block
+  let rawTextBlock = false; // whether the <script>/<style> just skipped is a top-level block
+  tagRegex.lastIndex = 0;
+  let match;
+
+  while ((match = tagRegex.exec(text))) {
+    if (!match[2]) continue; // comment
+
+    const isClosing = match[1] === "/";
+    const tagName = match[2].toLowerCase();
+    const nameIndex = match.index + (isClosing ? 2 : 1);
+
+    // Blocks start a line outside any other <template>; their closing tags are matched by nesting
+    let isBlock = false;
+    if (component && componentBlocks.includes(tagName)) {
+      if (isClosing) isBlock = tagName === "template" ? templates.pop() ?? false : rawTextBlock;
+      else isBlock = templates.length === 0 && (match.index === 0 || text[match.index - 1] === "\n");
+      if (tagName === "template" && !isClosing && !match[3].trim().endsWith("/")) templates.push(isBlock);
+      else if (!isClosing) rawTextBlock = isBlock;
+    }
+    const key = getHtmlBcdKey(tagName);
+    const status = getBcdStatus(key);
+    if (status && !isBlock) findings.push(createFinding(nameIndex, tagName.length, tagName, key, "html", status));
+
+    if (isClosing) continue;
+    if (!isBlock) checkAttributes(tagName, match[3], nameIndex + tagName.length, findings, regions);
+
+    // Jump over the content of <script>, <style>, ...
+    if (rawTextElements.includes(tagName)) {
+      const close = lowerText.indexOf(`</${tagName}`, tagRegex.lastIndex);
+      const end = close === -1 ? text.length : close;
+      const language = styleLangs[getAttributeValue(match[3], "lang") || "css"];
+      if (tagName === "style" && language) regions.push({ start: tagRegex.lastIndex, end, context: "stylesheet", language });
+      if (tagName === "script" && isJavaScript(match[3])) regions.push({ start: tagRegex.lastIndex, end, context: "script" });
+      tagRegex.lastIndex = end;
+    }
+  }
+
+  regions.forEach(region => findings.push(...analyzeRegion(text, region)));
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+// ---------------- JSX ----------------
+// Characters after which a "<" starts a JSX element rather than a comparison or a type argument
+const jsxContextRegex = /(^|[(,=?:{}[\]>&|;]|\breturn)\s*$/;
+
+/**
+ * Reads a JSX tag starting at `start` ("<"), skipping over quoted strings and {expressions}
+ * Returns the offset just past its closing ">", or -1 if it is not terminated
+ */
+function findJsxTagEnd(text, start) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start + 1; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "\"" || c === "'") {
+      if (depth === 0) quote = c;
+    } else if (c === "{") {
+      depth++;
+    } else if (c === "}") {
+      depth--;
+    } else if (c === ">" && depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Replaces {expression} attribute values with an empty quoted value of the same length
+ * so the expression's words are not read as attributes
+ */
+function blankJsxExpressions(attributes) {
+  let out = "";
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < attributes.length; i++) {
+    if (attributes[i] === "{") {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (attributes[i] === "}" && depth > 0 && --depth === 0) {
+      const length = i - start + 1;
+      out += length > 1 ? `"${" ".repeat(length - 2)}"` : " ";
+      continue;
+    }
+    if (depth === 0) out += attributes[i];
+  }
+  return out + (depth > 0 ? " ".repeat(attributes.length - start) : "");
+}
+
+/**
+ * Finds features in JSX/TSX: Web APIs in the code plus the intrinsic (lowercase) elements
+ * and their attributes in the markup; components like <Button> are not HTML and are skipped
+ */
+function analyzeJsx(text) {
+  const code = blankNonCode(text, { jsx: true });
+  const findings = analyzeJs(text, { jsx: true });
+  const elementRegex = /<(\/?)([a-z][\w-]*)(?=[\s/>])/g;
+  let match;
+
+  while ((match = elementRegex.exec(code))) {
+    const isClosing = match[1] === "/";
+    if (!isClosing && !jsxContextRegex.test(code.slice(Math.max(0, match.index - 200), match.index))) continue;
+
+    const tagName = match[2];
+    const nameIndex = match.index + match[1].length + 1;
+    const status = getBcdStatus(getHtmlBcdKey(tagName));
+    if (!status) continue;
+    findings.push(createFinding(nameIndex, tagName.length, tagName, getHtmlBcdKey(tagName), "html", status));
+    if (isClosing) continue;
+
+    const end = findJsxTagEnd(text, match.index);
+    if (end === -1) continue;
+    const attributesStart = nameIndex + tagName.length;
+    const attributes = blankJsxExpressions(text.slice(attributesStart, end - 1));
+    checkAttributes(tagName, attributes, attributesStart, findings, []);
+  }
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+// ---------------- Exports ----------------
+module.exports = { analyzeHtml, analyzeJsx };
@@ -0,0 +1,311 @@
+// ---------------- Imports ----------------
+const { getBcdStatus, getBcdData, createFinding } = require("../baseline");
+
+// ---------------- Globals ----------------
+// Global objects whose members are documented on their interface (navigator.clipboard → api.Navigator.clipboard)
+const globalInterfaces = {
+  window: "Window",
+  self: "Window",
+  document: "Document",
+  navigator: "Navigator",
+  screen: "Screen",
+  location: "Location",
+  history: "History",
+  performance: "Performance",
+  crypto: "Crypto",
+  localStorage: "Storage",
+  sessionStorage: "Storage",
+  console: "console",
+};
+
+// Built-ins searched (in order) when a method is called on an unknown receiver: arr.at(), str.replaceAll()
+const instanceBuiltins = [
+  "Array", "String", "Promise", "Map", "Set", "Iterator", "Object", "Number",
+  "RegExp", "Date", "TypedArray", "ArrayBuffer", "WeakMap", "WeakSet", "WeakRef", "Symbol",
+];
+
+// Without a receiver type instance calls are guesses, so long-standing methods (map, push, then) are not reported
+const INSTANCE_METHODS_SINCE = "2016-01-01";
+
+// ---------------- Instance method index ----------------
+let methodIndex = null;
+
+// Spec anchors of instance members: sec-array.prototype.at, sec-%iteratorprototype%-..., sec-properties-of-string-instances-length
+// (statics have none: sec-array.from, sec-object.getprototypeof)
+const instanceSpecRegex = /\.prototype[.-]|prototype%|-instances-/;
+
+/**
+ * Returns true if the compat data specifies a built-in member on the prototype (arr.at() rather than Array.from())
+ * Decided from the data, not the runtime, so results do not depend on the Node version
+ */
+function isInstanceMember(data) {
+  const specUrls = [].concat(data?.__compat?.spec_url || []);
+  return specUrls.some(url => instanceSpecRegex.test(url.split("#")[1] || ""));
+}
+
+/**
+ * Maps method names to a BCD key
+ * - javascript.builtins.<Global>.<method>, skipping statics like Array.from
+ * - api.<Interface>.<method> when only one interface has a member with that name
+ */
+function buildMethodIndex() {
+  const index = new Map();
+  const builtins = getBcdData("javascript.builtins") || {};
+
+  instanceBuiltins.forEach((global) => {
+    Object.keys(builtins[global] || {}).forEach((member) => {
+      if (member === "__compat" || member === global || index.has(member)) return;
+      if (!isInstanceMember(builtins[global][member])) return;
+      index.set(member, `javascript.builtins.${global}.${member}`);
+    });
+  });
+
+  const api = getBcdData("api") || {};
+  const owners = new Map();
+  Object.entries(api).forEach(([iface, members]) => {
+    if (!/^[A-Z]/.test(iface)) return;
+    Object.keys(members).forEach((member) => {
+      if (member === "__compat" || member === iface || /_(static|event)$/.test(member)) return;
+      owners.set(member, owners.has(member) ? null : `api.${iface}.${member}`);
+    });
+  });
+  owners.forEach((key, member) => {
+    if (key && !index.has(member)) index.set(member, key);
+  });
+
+  return index;
+}
+
+/**
+ * Returns the method index, building it on first use
+ */
+function getMethodIndex() {
+  if (!methodIndex) methodIndex = buildMethodIndex();
+  return methodIndex;
+}
+
+// ---------------- Source cleanup ----------------
+
+/**
+ * Replaces comments, strings, template literal text and regex literals with spaces
+ * so identifiers inside them are not matched (offsets and line breaks stay intact)
+ * Code inside `${ }` interpolations is kept
+ * With `jsx`, the text children of JSX elements are blanked too (an apostrophe in `<p>Don't</p>` opens no string),
+ * while their tags and {expressions} are kept
+ */
+function blankNonCode(text, { jsx = false } = {}) {
+  const out = [];
+  const blank = s => s.replace(/[^\n]/g, " ");
+  // Open contexts, innermost last:
+  // - { type: "expression", braces, parent: "template" | "jsx" }: code inside ${ } or a JSX { }
+  // - { type: "element", depth }: JSX children of `depth` open elements
+  // - { type: "tag", closing }: inside a JSX tag
+  const frames = [];
+  let lastCode = "";
+  let opensInterpolation = false;
+  let i = 0;
+
+  // Template text from `start` to the closing backtick, or up to and including the next "${"
+  const skipTemplateText = (start) => {
+    let end = start;
+    while (end < text.length && text[end] !== "`") {
+      if (text[end] === "\\") end++;
+      else if (text[end] === "$" && text[end + 1] === "{") {
+        frames.push({ type: "expression", braces: 0, parent: "template" });
+        opensInterpolation = true;
+        return end + 2;
+      }
+      end++;
+    }
+    return Math.min(end + 1, text.length);
+  };
+
+  // A "<" starting a JSX element: after an operator, a bracket or `return`, and not a TSX type parameter (<T,> or <T extends U>)
+  const startsJsx = () => jsx &&
+    /^<(?:[A-Za-z][\w.:-]*(?=[\s/>])(?!\s+extends\b)|>)/.test(text.slice(i, i + 100)) &&
+    (lastCode === "" || /[(,=?:{}[\]>&|;]/.test(lastCode) || /\breturn\s*$/.test(text.slice(Math.max(0, i - 20), i)));
+
+  // Reads JSX from `i` in an "element" or "tag" frame; returns where code reading continues
+  const readJsx = (frame) => {
+    const c = text[i];
+    if (c === "{") {
+      frames.push({ type: "expression", braces: 0, parent: "jsx" });
+      lastCode = "{";
+    } else if (frame.type === "element" && c === "<") {
+      frames.push({ type: "tag", closing: text[i + 1] === "/" });
+    } else if (frame.type === "element") {
+      // Text children up to the next tag or expression
+      let end = i;
+      while (end < text.length && text[end] !== "<" && text[end] !== "{") end++;
+      out.push(blank(text.slice(i, end)));
+      return end;
+    } else if (c === "\"" || c === "'") {
+      const end = text.indexOf(c, i + 1);
+      out.push(blank(text.slice(i, end === -1 ? text.length : end + 1)));
+      return end === -1 ? text.length : end + 1;
+    } else if (c === ">") {
+      // End of a tag: one element deeper, or (closing and self-closing tags) back out
+      frames.pop();
+      const element = frames[frames.length - 1];
+      if (frame.closing) element.depth--;
+      else if (text[i - 1] !== "/") element.depth++;
+      if (element.depth === 0) {
+        frames.pop();
+        lastCode = "a"; // an element is an operand
+      }
+    }
+    out.push(c);
+    return i + 1;
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    const next = text[i + 1];
+    const frame = frames[frames.length - 1];
+    let end = -1;
+    opensInterpolation = false;
+
+    if (frame?.type === "element" || frame?.type === "tag") {
+      i = readJsx(frame);
+      continue;
+    }
+
+    if (c === "`") {
+      end = skipTemplateText(i + 1);
+    } else if (c === "}" && frame?.type === "expression" && frame.braces === 0) {
+      // End of an interpolation: back to the template text, or to the JSX around a { }
+      frames.pop();
+      if (frame.parent === "jsx") {
+        out.push(c);
+        i++;
+        continue;
+      }
+      end = skipTemplateText(i + 1);
+    } else if (c === "<" && startsJsx()) {
+      frames.push({ type: "element", depth: 0 }, { type: "tag", closing: false });
+      out.push(c);
+      i++;
+      continue;
+    } else if (c === "/" && next === "/") {
+      end = text.indexOf("\n", i);
+      if (end === -1) end = text.length;
+    } else if (c === "/" && next === "*") {
+      end = text.indexOf("*/", i + 2);
+      end = end === -1 ? text.length : end + 2;
+    } else if (c === "\"" || c === "'") {
+      end = i + 1;
+      while (end < text.length && text[end] !== c) {
+        if (text[end] === "\\") end++;
+        else if (text[end] === "\n") break;
+        end++;
+      }
+      end = Math.min(end + 1, text.length);
+    } else if (c === "/" && (/[(,=:[!&|?{};+\-*%>~^]/.test(lastCode) || lastCode === "")) {
+      // Regex literal: a "/" where a division operator cannot appear ("</" is a JSX closing tag)
+      end = i + 1;
+      let inClass = false;
+      while (end < text.length && text[end] !== "\n" && (inClass || text[end] !== "/")) {
+        if (text[end] === "\\") end++;
+        else if (text[end] === "[") inClass = true;
+        else if (text[end] === "]") inClass = false;
+        end++;
+      }
+      end++;
+      while (/[a-z]/i.test(text[end] || "")) end++;
+    }
+
+    if (end === -1) {
+      if (frame?.type === "expression" && c === "{") frame.braces++;
+      else if (frame?.type === "expression" && c === "}") frame.braces--;
+      out.push(c);
+      if (!/\s/.test(c)) lastCode = c;
+      i++;
+    } else {
+      out.push(blank(text.slice(i, end)));
+      // A literal is an operand, a following "/" divides; after "${" an expression starts
+      lastCode = opensInterpolation ? "{" : "a";
+      i = end;
+    }
+  }
+  return out.join("");
+}
+
+// ---------------- Globals and members ----------------
+/**
+ * Resolves `root.member` to a BCD key
+ * (navigator.clipboard, Promise.withResolvers, URL.canParse, console.table)
+ */
+function getMemberKey(root, member) {
+  const candidates = [
+    globalInterfaces[root] && `api.${globalInterfaces[root]}.${member}`,
+    `api.${root}.${member}`,
+    `api.${root}.${member}_static`,
+    `javascript.builtins.${root}.${member}`,
+  ];
+  return candidates.find(key => key && getBcdStatus(key)) || null;
+}
+
+/**
+ * Resolves a global used on its own to a BCD key
+ * Capitalized names are interfaces/built-ins (ResizeObserver, Intl); lowercase ones must be calls (fetch(), structuredClone())
+ */
+function getGlobalKey(root, isCall) {
+  if (/^[a-z]/.test(root) && !isCall) return null;
+  const candidates = [`javascript.builtins.${root}`, `api.${root}`];
+  return candidates.find(key => getBcdStatus(key)) || null;
+}
+
+// ---------------- Analyze script ----------------
+/**
+ * Finds Web API and JavaScript built-in usage in JS/TS source
+ * - globals and their members: navigator.clipboard, Promise.withResolvers(), new ResizeObserver()
+ * - calls of newer methods on any receiver: arr.at(), arr.toSorted(), el.showPopover()
+ * With `jsx` the text of JSX elements is not read as code
+ */
+function analyzeJs(text, { jsx = false } = {}) {
+  const code = blankNonCode(text, { jsx });
+  const findings = [];
+  const covered = new Set();
+
+  const push = (index, length, name, key) => {
+    findings.push(createFinding(index, length, name, key, "js", getBcdStatus(key)));
+  };
+
+  // Globals, optionally followed by one member
+  const globalRegex = /(?<![\w$.])([A-Za-z_$][\w$]*)(?:(\s*\??\.\s*)([A-Za-z_$][\w$]*))?(\s*\()?/g;
+  let match;
+  while ((match = globalRegex.exec(code))) {
+    const [expression, root, dot, member, call] = match;
+    const memberKey = member && getMemberKey(root, member);
+
+    if (memberKey) {
+      const memberIndex = match.index + root.length + dot.length;
+      const length = expression.trimEnd().replace(/\($/, "").trimEnd().length;
+      push(match.index, length, `${root}.${member}${call ? "()" : ""}`, memberKey);
+      covered.add(memberIndex);
+      continue;
+    }
+
+    const globalKey = getGlobalKey(root, Boolean(call) && !member);
+    if (globalKey) push(match.index, root.length, `${root}${call && !member ? "()" : ""}`, globalKey);
+  }
+
+  // Newer methods called on receivers of unknown type
+  const methods = getMethodIndex();
+  const methodRegex = /\.\s*([A-Za-z_$][\w$]*)\s*\(/g;
+  while ((match = methodRegex.exec(code))) {
+    const method = match[1];
+    const index = match.index + match[0].indexOf(method);
+    const key = methods.get(method);
+    if (!key || covered.has(index)) continue;
+
+    const status = getBcdStatus(key);
+    const isOld = status?.baseline === "high" && status.baseline_low_date < INSTANCE_METHODS_SINCE;
+    if (status && !isOld) push(index, method.length, `${key.split(".").slice(-2).join(".prototype.")}()`, key);
+  }
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+// ---------------- Exports ----------------
+module.exports = { analyzeJs, blankNonCode };
@@ -0,0 +1,170 @@
+// ---------------- Imports ----------------
+const { getStatus } = require("compute-baseline");
+const { Compat } = require("compute-baseline/browser-compat-data");
+const webFeatures = require("web-features/data.json");
+
+// ---------------- Caches ----------------
+// getStatus() recomputes support from BCD on every call, so memoize by key
+const statusCache = new Map();
+let featureIndex = null;
+let compat = null;
+
+// ---------------- BCD keys ----------------
+
+/**
+ * Build the Baseline key for a CSS property (e.g. css.properties.grid)
+ */
+function getCssBcdKey(property) {
+  return `css.properties.${property}`;
+}
+
+/**
+ * Build the Baseline key for a CSS at-rule (e.g. css.at-rules.container)
+ */
+function getAtRuleBcdKey(name) {
+  return `css.at-rules.${name}`;
+}
+
+/**
+ * Build the Baseline key for an HTML element (e.g. html.elements.dialog)
+ */
+function getHtmlBcdKey(element) {
+  return `html.elements.${element}`;
+}
+
+/**
+ * Safely fetch baseline status for a given key
+ * Returns `null` if lookup fails
+ */
+function getBcdStatus(key) {
+  if (statusCache.has(key)) return statusCache.get(key);
+
+  let status = null;
+  try {
+    status = getStatus(null, key);
+  } catch {
+    status = null;
+  }
+  statusCache.set(key, status);
+  return status;
+}
+
+/**
+ * Returns the raw browser-compat-data subtree for a key (e.g. css.types)
+ * Returns `null` if the key does not exist
+ */
+function getBcdData(key) {
+  if (!compat) compat = new Compat();
+  try {
+    return compat.query(key);
+  } catch {
+    return null;
+  }
+}
+
+// ---------------- web-features lookup ----------------
+
+/**
+ * Map every BCD key listed in web-features to the id of its feature
+ */
+function buildFeatureIndex() {
+  const index = new Map();
+  for (const [id, feature] of Object.entries(webFeatures.features)) {
+    (feature.compat_features || []).forEach((key) => {
+      if (!index.has(key)) index.set(key, id);
+    });
+  }
+  return index;
+}
+
+/**
+ * Resolve the web-features id for a BCD key (e.g. css.selectors.has → has)
+ * Falls back to the closest ancestor key, or `null` when nothing matches
+ */
+function getFeatureId(key) {
+  if (!featureIndex) featureIndex = buildFeatureIndex();
+
+  const parts = key.split(".");
+  while (parts.length > 1) {
+    const id = featureIndex.get(parts.join("."));
+    if (id) return id;
+    parts.pop();
+  }
+  return null;
+}
+
+// ---------------- Status helpers ----------------
+
+/**
+ * Converts internal browser keys to human-friendly names.
+ */
+function getBrowserName(browser) {
+  const names = {
+    chrome: "Chrome",
+    firefox: "Firefox",
+    safari: "Safari",
+    edge: "Edge",
+    opera: "Opera",
+    brave: "Brave",
+    chrome_android: "Chrome Android",
+    firefox_android: "Firefox Android",
+    safari_ios: "Safari iOS",
+    samsung_internet: "Samsung Internet",
+    samsunginternet_android: "Samsung Internet",
+    webview_android: "WebView",
+    opera_android: "Opera Android",
+    ie: "IE"
+  };
+  return names[browser] || browser;
+}
+
+/**
+ * Returns true if the browser version indicates support.
+ */
+function isSupported(version) {
+  return version !== false && version != null;
+}
+
+/**
+ * Format a Baseline date (e.g. "2023-12-19" → "Dec 2023")
+ */
+function formatBaselineDate(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short"
+  });
+}
+
+/**
+ * Lists the core browsers that do not support a feature yet
+ */
+function getUnsupportedBrowsers(status) {
+  const support = status?.support || {};
+  return ["chrome", "chrome_android", "edge", "firefox", "firefox_android", "safari", "safari_ios"]
+    .filter(browser => !isSupported(support[browser]));
+}
+
+// ---------------- Findings ----------------
+/**
+ * Describes a feature usage found in the text (offset + length) with its baseline status
+ * `type` is the feature family ("css" / "html" / "js") passed on to the chatbot
+ * Whether it passes is decided later against the configured target (see target.js)
+ */
+function createFinding(index, length, name, key, type, status) {
+  return { index, length, name, key, type, status };
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  getCssBcdKey,
+  getAtRuleBcdKey,
+  getHtmlBcdKey,
+  getBcdStatus,
+  getBcdData,
+  getFeatureId,
+  getBrowserName,
+  isSupported,
+  formatBaselineDate,
+  getUnsupportedBrowsers,
+  createFinding
+};
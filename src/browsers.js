@@ -0,0 +1,145 @@
+// ---------------- Imports ----------------
+const browserslist = require("browserslist");
+const { getBcdData, getBrowserName, isSupported } = require("./baseline");
+
+// ---------------- Browser names ----------------
+// browserslist ids mapped to browser-compat-data browsers (op_mini, kaios, and_uc, ... have no compat data)
+const browserslistToBcd = {
+  chrome: "chrome",
+  and_chr: "chrome_android",
+  edge: "edge",
+  firefox: "firefox",
+  and_ff: "firefox_android",
+  safari: "safari",
+  ios_saf: "safari_ios",
+  samsung: "samsunginternet_android",
+  opera: "opera",
+  op_mob: "opera_android",
+  android: "webview_android",
+  ie: "ie",
+};
+
+// Browsers covered by status.support (the Baseline core browser set)
+const coreBrowsers = ["chrome", "chrome_android", "edge", "firefox", "firefox_android", "safari", "safari_ios"];
+
+// Resolved targets per directory (config files are read once)
+const targetsCache = new Map();
+
+// ---------------- Versions ----------------
+
+/**
+ * Compares two dotted version strings ("15.4" < "16") numerically
+ */
+function compareVersions(a, b) {
+  const left = a.split(".").map(Number);
+  const right = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// ---------------- Browserslist ----------------
+
+/**
+ * Resolves a browserslist query offline (bundled caniuse-lite data)
+ * Returns the oldest version of each browser, e.g. { safari_ios: "15.0", chrome: "109" }
+ */
+function resolveBrowserTargets(query, directory) {
+  const targets = {};
+
+  browserslist(query, { path: directory }).forEach((entry) => {
+    const [id, range] = entry.split(" ");
+    const browser = browserslistToBcd[id];
+    const version = range.split("-")[0]; // "15.0-15.1" → "15.0"
+    if (!browser || !/^\d/.test(version)) return; // "op_mini all", "safari TP"
+    if (!targets[browser] || compareVersions(version, targets[browser]) < 0) targets[browser] = version;
+  });
+  return targets;
+}
+
+/**
+ * Finds the browserslist config that applies to a directory (.browserslistrc or the
+ * "browserslist" field of package.json, searched upwards) and resolves it
+ * Returns `null` when the project has no config or it is invalid
+ */
+function loadBrowserTargets(directory) {
+  if (targetsCache.has(directory)) return targetsCache.get(directory);
+
+  let targets = null;
+  try {
+    const query = browserslist.loadConfig({ path: directory });
+    if (query) targets = resolveBrowserTargets(query, directory);
+  } catch (error) {
+    console.error("Invalid browserslist config:", error.message);
+  }
+  targetsCache.set(directory, targets);
+  return targets;
+}
+
+/**
+ * Forgets resolved targets (after a config file changed)
+ */
+function clearBrowserTargets() {
+  targetsCache.clear();
+  browserslist.clearCaches();
+}
+
+// ---------------- Support check ----------------
+
+/**
+ * Returns the version a browser added a feature in, `false` if it never did,
+ * or `undefined` when compat data does not cover the browser
+ * Core browsers come from status.support; others from the raw BCD statement (prefixed, flagged and partial ones do not count)
+ */
+function getVersionAdded(key, status, browser) {
+  if (coreBrowsers.includes(browser)) return status?.support?.[browser]?.replace("≤", "") ?? false;
+
+  const support = getBcdData(key)?.__compat?.support?.[browser];
+  if (!support) return undefined;
+
+  const statement = [].concat(support).find(s =>
+    !s.prefix && !s.alternative_name && !s.flags && !s.partial_implementation && !s.version_removed);
+  const version = statement?.version_added;
+  if (typeof version === "string") return /\d/.test(version) ? version.replace("≤", "") : false; // "preview"
+  return version ?? false;
+}
+
+/**
+ * Lists the target browsers a feature fails in
+ * Each entry is { browser, version, since }: the oldest targeted version and the version that added
+ * the feature (`null` if no version supports it)
+ */
+function getFailingBrowsers(key, status, targets) {
+  const failing = [];
+
+  Object.entries(targets).forEach(([browser, version]) => {
+    const added = getVersionAdded(key, status, browser);
+    if (added === undefined || added === true) return;
+
+    if (!isSupported(added)) failing.push({ browser, version, since: null });
+    else if (compareVersions(version, added) < 0) failing.push({ browser, version, since: added });
+  });
+  return failing;
+}
+
+/**
+ * Formats a failing browser, e.g. "Safari iOS 15.0 (needs 15.4+)"
+ */
+function formatFailingBrowser({ browser, version, since }) {
+  const needs = since ? `needs ${since}+` : "not supported";
+  return `${getBrowserName(browser)} ${version} (${needs})`;
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  coreBrowsers,
+  compareVersions,
+  resolveBrowserTargets,
+  loadBrowserTargets,
+  clearBrowserTargets,
+  getVersionAdded,
+  getFailingBrowsers,
+  formatFailingBrowser
+};
@@ -0,0 +1,172 @@
+// ---------------- Imports ----------------
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { glob } = require("tinyglobby");
+const { getFeatureId } = require("./baseline");
+const { parseTarget, describeTarget } = require("./target");
+const { loadBrowserTargets } = require("./browsers");
+const { loadIgnoreFile } = require("./suppressions");
+const { createReport, reportFormats } = require("./report");
+const {
+  sourceGlob,
+  getFileLanguage,
+  analyzeSource,
+  isProblem,
+  getFindingMessage,
+  getLineStarts,
+  positionAt,
+  parseGitignore,
+  isScannedFile,
+} = require("./core");
+
+// ---------------- Usage ----------------
+const usage = `Usage: webbaseline [options] [globs...]
+
+Checks CSS, SCSS, LESS, HTML, Vue, Svelte, JS and TS files against Baseline
+and exits with code 1 when a feature misses the target (2 on errors).
+Without globs every supported file below the current folder is checked
+(node_modules, .gitignored and .baselineignored files are skipped).
+
+Options:
+  -t, --target <target>      widely (default), newly or a Baseline year like 2023
+  -f, --format <format>      text (default), json, sarif or html
+  -o, --output <file>        write the report to a file instead of stdout
+      --ignore-browserslist  do not check the project's browserslist config
+  -h, --help                 show this help
+`;
+
+const cliOptions = {
+  target: { type: "string", short: "t", default: "widely" },
+  format: { type: "string", short: "f", default: "text" },
+  output: { type: "string", short: "o" },
+  "ignore-browserslist": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const levelLabels = { limited: "limited", belowTarget: "below target" };
+
+// ---------------- Files ----------------
+/**
+ * Expands the globs (default: every supported file) below `cwd`
+ * skipping node_modules, unsupported extensions, .gitignored and .baselineignored files
+ */
+async function findFiles(patterns, cwd) {
+  const ignore = ["**/node_modules/**"];
+  const files = await glob(patterns.length > 0 ? patterns : [sourceGlob], { cwd, absolute: true, ignore });
+  const gitignores = (await glob("**/.gitignore", { cwd, absolute: true, ignore, dot: true }))
+    .map(file => parseGitignore(path.dirname(file), fs.readFileSync(file, "utf8")));
+
+  return files.filter(file => isScannedFile(file, gitignores)).sort();
+}
+
+// ---------------- Analyze ----------------
+/**
+ * Analyzes the files
+ * Returns [{ file, findings }] with `file` relative to `cwd` and 1-based line, column,
+ * endLine and endColumn on each finding
+ */
+function analyzeFiles(files, { cwd, target, browserslist }) {
+  const results = [];
+
+  files.forEach((file) => {
+    const text = fs.readFileSync(file, "utf8");
+    const browsers = browserslist ? loadBrowserTargets(path.dirname(file)) : null;
+    const ignoredFeatures = loadIgnoreFile(path.dirname(file))?.features;
+    const lineStarts = getLineStarts(text);
+
+    const findings = analyzeSource(text, getFileLanguage(file), { target, browsers, ignoredFeatures }).map((f) => {
+      const start = positionAt(lineStarts, f.index);
+      const end = positionAt(lineStarts, f.index + f.length);
+      return { ...f, line: start.line + 1, column: start.character + 1, endLine: end.line + 1, endColumn: end.character + 1 };
+    });
+    if (findings.length > 0) results.push({ file: path.relative(cwd, file), findings });
+  });
+  return results;
+}
+
+// ---------------- Output ----------------
+/**
+ * Returns the findings of a file that miss the target without a guard
+ */
+function getProblems(findings) {
+  return findings.filter(isProblem);
+}
+
+/**
+ * Formats the problems as text: one block per file, then a summary
+ */
+function formatText(results, target, fileCount) {
+  const counts = { limited: 0, belowTarget: 0 };
+  const lines = [];
+
+  results.forEach(({ file, findings }) => {
+    const problems = getProblems(findings);
+    if (problems.length === 0) return;
+
+    lines.push("", file);
+    problems.forEach((f) => {
+      counts[f.level]++;
+      const location = `${f.line}:${f.column}`.padEnd(8);
+      const id = getFeatureId(f.key) || f.key;
+      lines.push(`  ${location}${levelLabels[f.level].padEnd(14)}${getFindingMessage(f, target)}  ${id}`);
+    });
+  });
+
+  const total = counts.limited + counts.belowTarget;
+  const checked = `${fileCount} file${fileCount === 1 ? "" : "s"} checked against ${describeTarget(target)}`;
+  lines.push("", total > 0
+    ? `✖ ${total} problem${total === 1 ? "" : "s"} (${counts.limited} limited, ${counts.belowTarget} below target) · ${checked}`
+    : `✓ No problems · ${checked}`);
+  return lines.join("\n") + "\n";
+}
+
+// ---------------- Run ----------------
+/**
+ * Runs the CLI with the given arguments
+ * Resolves with the exit code: 0 = all features meet the target, 1 = problems found, 2 = usage error
+ * (the bin script also exits with 2 when this rejects)
+ */
+async function run(argv, { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr } = {}) {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: cliOptions, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    stdout.write(usage);
+    return 0;
+  }
+  if (!/^(widely|newly|\d{4})$/i.test(values.target)) {
+    stderr.write(`Invalid target "${values.target}": use widely, newly or a year like 2023\n`);
+    return 2;
+  }
+  if (values.format !== "text" && !reportFormats[values.format]) {
+    stderr.write(`Invalid format "${values.format}": use text, json, sarif or html\n`);
+    return 2;
+  }
+
+  const files = await findFiles(positionals, cwd);
+  if (files.length === 0) {
+    stderr.write(`No files matching ${positionals.length > 0 ? positionals.join(" ") : "the supported extensions"}\n`);
+    return 2;
+  }
+
+  const target = parseTarget(values.target);
+  const results = analyzeFiles(files, { cwd, target, browserslist: !values["ignore-browserslist"] });
+  const output = values.format === "text"
+    ? formatText(results, target, files.length)
+    : reportFormats[values.format].format(createReport(results, { target, fileCount: files.length }));
+
+  if (values.output) fs.writeFileSync(path.resolve(cwd, values.output), output);
+  else stdout.write(output);
+
+  return results.some(({ findings }) => getProblems(findings).length > 0) ? 1 : 0;
+}
+
+// ---------------- Exports ----------------
+module.exports = { run, findFiles, analyzeFiles };
@@ -0,0 +1,108 @@
+// ---------------- Imports ----------------
+const vscode = require("vscode");
+const { getFeatureId } = require("./baseline");
+const { supportedLanguages, getCommentSyntax, getEnclosingTagStart, getFileSuppressionLine } = require("./core");
+const { getCssFixes } = require("./fixes");
+const { analyzeDocument } = require("./highlight");
+
+// ---------------- Diagnostics ----------------
+/**
+ * Returns the feature id a Baseline diagnostic reports (web-features id or BCD key)
+ */
+function getDiagnosticId(diagnostic) {
+  return typeof diagnostic.code === "object" ? diagnostic.code.value : diagnostic.code;
+}
+
+/**
+ * Returns the finding a Baseline diagnostic was created from, or `undefined`
+ */
+function getDiagnosticFinding(document, diagnostic) {
+  const offset = document.offsetAt(diagnostic.range.start);
+  const id = getDiagnosticId(diagnostic);
+  return analyzeDocument(document).find(f => f.index === offset && (getFeatureId(f.key) || f.key) === id);
+}
+
+// ---------------- Fixes ----------------
+/**
+ * Quick fixes rewriting the CSS of a diagnostic: prefixes, a fallback declaration or an @supports wrapper
+ */
+function getFixActions(document, diagnostic) {
+  const finding = getDiagnosticFinding(document, diagnostic);
+  if (finding?.type !== "css") return [];
+
+  return getCssFixes(document.getText(), finding).map((fix) => {
+    const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    fix.edits.forEach(({ start, end, text }) => {
+      action.edit.replace(document.uri, new vscode.Range(document.positionAt(start), document.positionAt(end)), text);
+    });
+    action.diagnostics = [diagnostic];
+    return action;
+  });
+}
+
+// ---------------- Suppressions ----------------
+/**
+ * Quick fix inserting a suppression comment above a line (keeping its indentation)
+ */
+function createSuppressionAction(document, line, directive, title, diagnostic) {
+  const { text } = document.lineAt(line);
+  const indent = text.slice(0, text.length - text.trimStart().length);
+  const start = new vscode.Position(line, 0);
+  const [open, close] = getCommentSyntax(document.getText(), document.offsetAt(start), document.languageId);
+
+  const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+  action.edit = new vscode.WorkspaceEdit();
+  action.edit.insert(document.uri, start, `${indent}${open}${directive}${close}\n`);
+  action.diagnostics = [diagnostic];
+  return action;
+}
+
+/**
+ * Quick fixes silencing a diagnostic on its line or in the whole file
+ * A line starting inside a tag (e.g. an attribute of `<dialog\n  closedby="any">`) gets its comment above the tag,
+ * which the comment then covers; the file-wide comment stays below a shebang or @charset
+ */
+function getSuppressionActions(document, diagnostic) {
+  const id = getDiagnosticId(diagnostic);
+  const text = document.getText();
+  const lineStart = document.offsetAt(new vscode.Position(diagnostic.range.start.line, 0));
+  const tagStart = getEnclosingTagStart(text, lineStart, document.languageId);
+  const line = tagStart === -1 ? diagnostic.range.start.line : document.positionAt(tagStart).line;
+
+  return [
+    createSuppressionAction(document, line, `baseline-ignore-next-line ${id}`, `Ignore '${id}' on this line`, diagnostic),
+    createSuppressionAction(
+      document,
+      Math.min(getFileSuppressionLine(text), document.lineCount - 1),
+      `baseline-ignore ${id}`,
+      `Ignore '${id}' in this file`,
+      diagnostic
+    ),
+  ];
+}
+
+// ---------------- Register ----------------
+/**
+ * Registers the quick fixes offered on Baseline diagnostics
+ * (CSS rewrites first, then the suppression comments)
+ */
+function registerCodeActions(context) {
+  const provider = {
+    provideCodeActions(document, range, codeActionContext) {
+      const actions = new Map();
+      codeActionContext.diagnostics
+        .filter(d => d.source === "Baseline")
+        .flatMap(d => [...getFixActions(document, d), ...getSuppressionActions(document, d)])
+        .forEach(action => actions.set(action.title, actions.get(action.title) || action));
+      return [...actions.values()];
+    },
+  };
+
+  context.subscriptions.push(vscode.languages.registerCodeActionsProvider(supportedLanguages, provider, {
+    providedCodeActionKinds: [vscode.CodeActionKind.QuickFix],
+  }));
+}
+
+// ---------------- Exports ----------------
+module.exports = { registerCodeActions };
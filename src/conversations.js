@@ -0,0 +1,93 @@
+// ---------------- Imports ----------------
+// Chat threads kept in the workspace state (a vscode.Memento), so past answers survive the panel and restarts
+
+const stateKey = "baselineChecker.conversations";
+const maxConversations = 50;
+
+// ---------------- Conversations ----------------
+/**
+ * Creates a thread about a feature:
+ * { id, feature, type, prompt, details, source, createdAt, updatedAt, turns: [{ question, prompt, answer, stopped, offline }] }
+ * `prompt` is the generated first prompt (kept to ask the AI after an offline answer)
+ * In turns, `question` is what the user typed (null for the first prompt) and `prompt` what the provider got;
+ * `offline` turns come from the alternatives catalog and have no prompt
+ * `source` ({ uri, range: [startLine, startCharacter, endLine, endCharacter] }) is where suggested code goes
+ */
+function createConversation({ feature, type, prompt = null, ...details }, source = null) {
+  const now = Date.now();
+  return {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    feature,
+    type,
+    prompt,
+    details,
+    source,
+    createdAt: now,
+    updatedAt: now,
+    turns: [],
+  };
+}
+
+/**
+ * Saved threads, most recently updated first
+ */
+function loadConversations(state) {
+  return state.get(stateKey, []);
+}
+
+/**
+ * Saves a thread (replacing its previous version); only the latest `maxConversations` are kept
+ */
+async function saveConversation(state, conversation) {
+  const others = loadConversations(state).filter(c => c.id !== conversation.id);
+  await state.update(stateKey, [conversation, ...others].slice(0, maxConversations));
+}
+
+/**
+ * Forgets a saved thread
+ */
+async function deleteConversation(state, id) {
+  await state.update(stateKey, loadConversations(state).filter(c => c.id !== id));
+}
+
+// ---------------- History ----------------
+/**
+ * The messages a provider session needs to continue a thread, as [{ role: "user" | "assistant", text }]
+ * (offline answers were never part of it)
+ */
+function getSessionHistory(conversation) {
+  return conversation.turns.filter(turn => turn.prompt).flatMap(({ prompt, answer }) => [
+    { role: "user", text: prompt },
+    { role: "assistant", text: answer },
+  ]);
+}
+
+// ---------------- Markdown ----------------
+/**
+ * Writes a thread as a Markdown document: the feature, then each question with its answer
+ */
+function conversationToMarkdown(conversation) {
+  const { feature, type, details, createdAt, turns } = conversation;
+  const lines = [`# Baseline chat: \`${feature}\` (${type.toUpperCase()})`, ""];
+
+  const facts = [`Started ${new Date(createdAt).toISOString().slice(0, 10)}`];
+  if (details.targets) facts.push(`Targets: ${details.targets}`);
+  lines.push(facts.join(" · "), "");
+  if (details.code) lines.push("```", details.code, "```", "");
+
+  turns.forEach(({ question, answer, stopped, offline }) => {
+    lines.push(`## ${question || (offline ? "Offline alternatives" : "Alternatives")}`, "", answer.trim(), "");
+    if (stopped) lines.push("_Stopped before the answer was complete._", "");
+  });
+  return lines.join("\n");
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  createConversation,
+  loadConversations,
+  saveConversation,
+  deleteConversation,
+  getSessionHistory,
+  conversationToMarkdown
+};
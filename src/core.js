@@ -0,0 +1,342 @@
+// ---------------- Imports ----------------
+// Editor-independent analysis shared by the extension and the CLI
+const path = require("path");
+const ignore = require("ignore");
+const { getBrowserName, formatBaselineDate, getUnsupportedBrowsers } = require("./baseline");
+const { getTargetLevel, describeTarget } = require("./target");
+const { getFailingBrowsers, formatFailingBrowser } = require("./browsers");
+const { applySuppressions, loadIgnoreFile, isPathIgnored } = require("./suppressions");
+const { analyzeCss } = require("./analyzers/css");
+const { analyzeHtml, analyzeJsx } = require("./analyzers/html");
+const { analyzeJs } = require("./analyzers/js");
+
+// ---------------- Languages ----------------
+const cssLanguages = ["css", "scss", "less"];
+const htmlLanguages = ["html", "django-html", "jinja-html"];
+const componentLanguages = ["vue", "svelte"];
+const scriptLanguages = ["javascript", "typescript"];
+const jsxLanguages = ["javascriptreact", "typescriptreact"];
+
+// Every language the analysis handles
+const supportedLanguages = [
+  ...cssLanguages,
+  ...htmlLanguages,
+  ...componentLanguages,
+  ...scriptLanguages,
+  ...jsxLanguages,
+];
+
+// File extensions mapped to the language they are analyzed as (for files not opened in an editor)
+const fileLanguages = {
+  css: "css",
+  scss: "scss",
+  less: "less",
+  html: "html",
+  htm: "html",
+  vue: "vue",
+  svelte: "svelte",
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascriptreact",
+  ts: "typescript",
+  mts: "typescript",
+  cts: "typescript",
+  tsx: "typescriptreact",
+};
+
+// Glob matching every file with a supported extension
+const sourceGlob = `**/*.{${Object.keys(fileLanguages).join(",")}}`;
+
+// Type declarations and minified bundles are not source worth reporting
+const skippedFileRegex = /(\.d\.[cm]?ts|\.min\.(js|css))$/;
+
+/**
+ * Returns the language of a file from its extension, or `null` if it is not supported
+ */
+function getFileLanguage(filePath) {
+  if (skippedFileRegex.test(filePath)) return null;
+  return fileLanguages[path.extname(filePath).slice(1).toLowerCase()] || null;
+}
+
+// ---------------- Analyze ----------------
+/**
+ * Finds the features used in a text of the given language
+ * - CSS: parses the stylesheet and checks declarations
+ * - HTML: checks tags, attributes, attribute values, embedded CSS and scripts
+ * - Vue/Svelte: checks the markup, style blocks (including lang="scss") and scripts
+ * - JS/TS: checks Web APIs and built-ins, plus intrinsic elements in JSX/TSX
+ */
+function analyzeText(text, language) {
+  const findings = [];
+
+  // Handle CSS-like languages
+  if (cssLanguages.includes(language))
+    findings.push(...analyzeCss(text, language));
+
+  // Handle HTML files
+  if (htmlLanguages.includes(language))
+    findings.push(...analyzeHtml(text));
+
+  // Handle Vue / Svelte single-file components
+  if (componentLanguages.includes(language))
+    findings.push(...analyzeHtml(text, { component: true }));
+
+  // Handle JavaScript / TypeScript
+  if (scriptLanguages.includes(language))
+    findings.push(...analyzeJs(text));
+
+  // Handle JSX / TSX (code and markup)
+  if (jsxLanguages.includes(language))
+    findings.push(...analyzeJsx(text));
+
+  return findings;
+}
+
+/**
+ * Gives each finding the `level` it has against the target and, when there are
+ * browserslist `browsers`, the `failingBrowsers` it is not supported in (those count as limited)
+ * Findings with a `guard` (@supports, fallback, prefixed pair) that miss the target are "guarded"
+ */
+function evaluateFindings(findings, target, browsers) {
+  return findings.map((f) => {
+    const failingBrowsers = browsers ? getFailingBrowsers(f.key, f.status, browsers) : null;
+    let level = failingBrowsers?.length > 0 ? "limited" : getTargetLevel(f.status, target);
+    if (f.guard && level !== "meetsTarget") level = "guarded";
+    return { ...f, level, failingBrowsers };
+  });
+}
+
+/**
+ * Returns true if a finding misses the target without a guard (highlighted red or orange)
+ */
+function isProblem(finding) {
+  return finding.level === "limited" || finding.level === "belowTarget";
+}
+
+/**
+ * Finds and evaluates the features used in a text
+ * Findings silenced by baseline-ignore comments or `ignoredFeatures` (.baselineignore) are dropped
+ */
+function analyzeSource(text, language, { target, browsers = null, ignoredFeatures = [] }) {
+  let lineStarts = null;
+  const getLine = offset => positionAt(lineStarts ||= getLineStarts(text), offset).line;
+  const getTagLine = (offset) => {
+    const line = getLine(offset);
+    const tagStart = getEnclosingTagStart(text, lineStarts[line], language);
+    return tagStart === -1 ? null : getLine(tagStart);
+  };
+
+  const findings = applySuppressions(analyzeText(text, language), text, getLine, ignoredFeatures, getTagLine);
+  return evaluateFindings(findings, target, browsers);
+}
+
+// ---------------- Messages ----------------
+/**
+ * Describes why a finding misses the target (Problems panel and CLI output)
+ */
+function getFindingMessage(finding, target) {
+  const { name, status, level, failingBrowsers } = finding;
+  let message;
+
+  if (failingBrowsers?.length > 0) {
+    message = `'${name}' is not supported in your browserslist targets: ${failingBrowsers.map(formatFailingBrowser).join(", ")}.`;
+  } else if (level === "belowTarget") {
+    message = `'${name}' is Baseline`;
+    if (status.baseline_low_date) message += ` since ${formatBaselineDate(status.baseline_low_date)}`;
+    message += ` but does not meet the target (${describeTarget(target)}).`;
+  } else {
+    message = `'${name}' has limited availability and is not Baseline yet.`;
+  }
+
+  // With a browserslist config only the targeted browsers matter (listed above)
+  const unsupported = failingBrowsers ? [] : getUnsupportedBrowsers(status);
+  if (unsupported.length > 0) {
+    message += ` Not supported in: ${unsupported.map(getBrowserName).join(", ")}.`;
+  }
+  return message;
+}
+
+// ---------------- Suppression comments ----------------
+const blockComment = ["/* ", " */"];
+const lineComment = ["// ", ""];
+const markupComment = ["<!-- ", " -->"];
+const jsxComment = ["{/* ", " */}"];
+
+/**
+ * Returns the [open, close] comment syntax for a suppression inserted at `offset`
+ * - stylesheets and <style> blocks: /* *\/
+ * - scripts and <script> blocks: //
+ * - markup: <!-- -->, or {/* *\/} between JSX children
+ */
+function getCommentSyntax(text, offset, language) {
+  const before = text.slice(0, offset);
+
+  if (cssLanguages.includes(language)) return blockComment;
+  if (scriptLanguages.includes(language)) return lineComment;
+  if (jsxLanguages.includes(language)) return /[^=]>\s*$/.test(before) ? jsxComment : lineComment;
+
+  if (before.lastIndexOf("<style") > before.lastIndexOf("</style")) return blockComment;
+  if (before.lastIndexOf("<script") > before.lastIndexOf("</script")) return lineComment;
+  return markupComment;
+}
+
+// An opening tag, skipping over quoted attribute values and {expressions}
+const openTagRegex = /<[a-zA-Z][\w.:-]*(?:[^>"'{]|"[^"]*"|'[^']*'|\{(?:[^{}]|\{[^{}]*\})*\})*>/y;
+
+/**
+ * Returns the start of the markup tag `offset` is inside of, or -1
+ * e.g. the "<dialog" of `<dialog\n  closedby="any">` for an offset on its second line
+ * Only markup counts: not stylesheets, scripts or <style>/<script> blocks
+ */
+function getEnclosingTagStart(text, offset, language) {
+  const isMarkup = jsxLanguages.includes(language) ||
+    ([...htmlLanguages, ...componentLanguages].includes(language) && getCommentSyntax(text, offset, language) === markupComment);
+  if (!isMarkup) return -1;
+
+  // The nearest "<" that opens a tag decides: skip comparisons like `a < b` inside attribute expressions
+  for (let start = text.lastIndexOf("<", offset - 1); start !== -1; start = text.lastIndexOf("<", start - 1)) {
+    openTagRegex.lastIndex = start;
+    const match = openTagRegex.exec(text);
+    if (match) return start + match[0].length > offset ? start : -1;
+  }
+  return -1;
+}
+
+/**
+ * Line a file-wide suppression comment goes on: the first line, or the second after
+ * a `#!` shebang or an `@charset` rule (both must stay first)
+ */
+function getFileSuppressionLine(text) {
+  return /^(#!|@charset\b)/i.test(text) ? 1 : 0;
+}
+
+// ---------------- Code context ----------------
+// Lines of code around a finding or selection sent to the chat (each way)
+const contextLines = 6;
+
+/**
+ * Offsets of the start and end of the lines a range spans
+ */
+function getLineRange(text, start, end) {
+  const lineEnd = text.indexOf("\n", Math.max(end - 1, start));
+  return { start: text.lastIndexOf("\n", start - 1) + 1, end: lineEnd === -1 ? text.length : lineEnd };
+}
+
+/**
+ * Range of the code a finding is part of: its CSS declaration, its markup tag or else its line
+ */
+function getFindingRange(text, finding) {
+  if (finding.css?.declaration) return finding.css.declaration;
+
+  const tagStart = text.lastIndexOf("<", finding.index);
+  const tagEnd = text.indexOf(">", finding.index);
+  const insideTag = finding.type === "html" && tagStart > text.lastIndexOf(">", finding.index - 1) && tagEnd !== -1;
+  if (insideTag) return { start: tagStart, end: tagEnd + 1 };
+
+  return getLineRange(text, finding.index, finding.index + finding.length);
+}
+
+/**
+ * Returns the code a chat question is about and what surrounds it, as { start, end, code, context }
+ * - `code`: the range (its line when empty) spanning `start`-`end`
+ * - `context`: the innermost CSS rule around it, or else the lines around it
+ *   (empty when that adds nothing to `code`)
+ */
+function getCodeContext(text, { start, end }, findings = []) {
+  const range = start === end ? getLineRange(text, start, end) : { start, end };
+  const code = text.slice(range.start, range.end);
+
+  const rule = findings
+    .map(f => f.css?.rule)
+    .filter(r => r && r.start <= range.start && r.end >= range.end)
+    .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+
+  let around = rule;
+  if (!around) {
+    const lines = getLineRange(text, range.start, range.end);
+    const before = text.slice(0, lines.start).split("\n").slice(-contextLines - 1).join("\n");
+    const after = text.slice(lines.end).split("\n").slice(0, contextLines + 1).join("\n");
+    around = { start: lines.start - before.length, end: lines.end + after.length };
+  }
+  const context = text.slice(around.start, around.end).replace(/^\s*\n|\s+$/g, "");
+  return { ...range, code, context: context.trim() === code.trim() ? "" : context };
+}
+
+// ---------------- Positions ----------------
+
+/**
+ * Offsets at which each line of a text starts
+ */
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * Converts an offset to a zero-based { line, character } using the line starts (binary search)
+ */
+function positionAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return { line: low, character: offset - lineStarts[low] };
+}
+
+// ---------------- .gitignore ----------------
+/**
+ * Parses a .gitignore into a matcher for the files below its folder
+ */
+function parseGitignore(directory, content) {
+  return { directory, matcher: ignore().add(content) };
+}
+
+/**
+ * Returns true if a .gitignore in the file's folder or above ignores it
+ */
+function isGitignored(filePath, gitignores) {
+  return gitignores.some(({ directory, matcher }) => {
+    const relative = path.relative(directory, filePath);
+    if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return false;
+    return matcher.ignores(relative.split(path.sep).join("/"));
+  });
+}
+
+/**
+ * Returns true if workspace scans and the CLI analyze a file: a supported language
+ * that no .gitignore and no path of its .baselineignore excludes
+ */
+function isScannedFile(filePath, gitignores) {
+  return Boolean(getFileLanguage(filePath)) &&
+    !isGitignored(filePath, gitignores) &&
+    !isPathIgnored(filePath, loadIgnoreFile(path.dirname(filePath)));
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  supportedLanguages,
+  sourceGlob,
+  getFileLanguage,
+  analyzeText,
+  evaluateFindings,
+  isProblem,
+  analyzeSource,
+  getFindingMessage,
+  getCommentSyntax,
+  getEnclosingTagStart,
+  getFileSuppressionLine,
+  getFindingRange,
+  getCodeContext,
+  getLineStarts,
+  positionAt,
+  parseGitignore,
+  isGitignored,
+  isScannedFile
+};
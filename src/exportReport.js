@@ -0,0 +1,98 @@
+// ---------------- Imports ----------------
+const vscode = require("vscode");
+const { analyzeDocument, getTarget } = require("./highlight");
+const { supportedLanguages } = require("./core");
+const { scanWorkspaceWithProgress } = require("./scan");
+const { createReport, reportFormats } = require("./report");
+
+// ---------------- Collect findings ----------------
+/**
+ * Adds the 1-based location the report uses to a finding
+ */
+function withLocation(finding, range) {
+  return {
+    ...finding,
+    line: range.start.line + 1,
+    column: range.start.character + 1,
+    endLine: range.end.line + 1,
+    endColumn: range.end.character + 1,
+  };
+}
+
+/**
+ * Findings of an open document, as report results
+ */
+function getDocumentResults(document) {
+  const findings = analyzeDocument(document).map(f => withLocation(f, new vscode.Range(
+    document.positionAt(f.index),
+    document.positionAt(f.index + f.length)
+  )));
+  const file = vscode.workspace.asRelativePath(document.uri, false);
+  return { fileCount: 1, results: findings.length > 0 ? [{ file, findings }] : [] };
+}
+
+/**
+ * Findings of every file in the workspace, as report results
+ */
+async function getWorkspaceResults() {
+  const scan = await scanWorkspaceWithProgress();
+  const results = scan.results.map(({ uri, findings }) => ({
+    file: vscode.workspace.asRelativePath(uri, false),
+    findings: findings.map(f => withLocation(f, f.range)),
+  }));
+  return { fileCount: scan.files, results };
+}
+
+// ---------------- Export ----------------
+const formatPicks = [
+  { label: "HTML", description: "Standalone page to attach to reviews", id: "html" },
+  { label: "SARIF", description: "SARIF 2.1.0 for code scanning", id: "sarif" },
+  { label: "JSON", description: "Raw findings", id: "json" },
+];
+
+/**
+ * Asks for a scope (current file / workspace) and a format, then saves the report
+ */
+async function exportReport() {
+  const editor = vscode.window.activeTextEditor;
+  const scopes = [];
+  if (editor && supportedLanguages.includes(editor.document.languageId)) {
+    scopes.push({ label: "Current File", description: vscode.workspace.asRelativePath(editor.document.uri), id: "file" });
+  }
+  if (vscode.workspace.workspaceFolders) {
+    scopes.push({ label: "Workspace", description: "Every supported file", id: "workspace" });
+  }
+  if (scopes.length === 0) {
+    vscode.window.showInformationMessage("Open a supported file or a folder to export a Baseline report.");
+    return;
+  }
+
+  const scope = scopes.length === 1 ? scopes[0] : await vscode.window.showQuickPick(scopes, { placeHolder: "Export findings of" });
+  if (!scope) return;
+  const format = await vscode.window.showQuickPick(formatPicks, { placeHolder: "Report format" });
+  if (!format) return;
+
+  const { extension } = reportFormats[format.id];
+  const folder = vscode.workspace.workspaceFolders?.[0].uri;
+  const destination = await vscode.window.showSaveDialog({
+    defaultUri: folder && vscode.Uri.joinPath(folder, `baseline-report.${extension}`),
+    filters: { [format.label]: [extension] },
+  });
+  if (!destination) return;
+
+  const { results, fileCount } = scope.id === "file" ? getDocumentResults(editor.document) : await getWorkspaceResults();
+  const report = createReport(results, { target: getTarget(), fileCount });
+  await vscode.workspace.fs.writeFile(destination, Buffer.from(reportFormats[format.id].format(report), "utf8"));
+
+  const count = report.findings.length;
+  const action = await vscode.window.showInformationMessage(
+    `Baseline report saved: ${count} ${count === 1 ? "finding misses" : "findings miss"} the target.`,
+    "Open"
+  );
+  if (action !== "Open") return;
+  if (format.id === "html") vscode.env.openExternal(destination);
+  else vscode.window.showTextDocument(destination);
+}
+
+// ---------------- Exports ----------------
+module.exports = { exportReport };
@@ -1,7 +1,14 @@
 const vscode = require('vscode');
-const { highlightFeatures, clearHighlights } = require('./highlight');
+const { highlightFeatures, clearHighlights, registerDiagnostics } = require('./highlight');
 const { registerHoverProvider } = require('./hover');
-const { getAlternatives, openChatbot } = require('./chatbot');
+const { clearBrowserTargets } = require('./browsers');
+const { clearIgnoreFiles } = require('./suppressions');
+const { clearCatalogFiles } = require('./alternatives');
+const { scanWorkspaceWithProgress } = require('./scan');
+const { exportReport } = require('./exportReport');
+const { registerResultsView, showScanResults } = require('./resultsView');
+const { registerCodeActions } = require('./codeActions');
+const { getAlternatives, openChatbot, askAboutSelection, showChatHistory, clearResponseCache, setApiKey } = require('./chatbot');
 
 /**
  * @function activate
@@ -15,6 +22,15 @@ function activate(context) {
     // Register hover provider (used to show tooltips for unsupported features)
     registerHoverProvider(context);
 
+    // Register the Problems panel collection that mirrors the highlights
+    registerDiagnostics(context);
+
+    // Register the sidebar view that lists workspace scan results
+    registerResultsView(context);
+
+    // Register the quick fixes offered on Baseline diagnostics
+    registerCodeActions(context);
+
     /**
      * Command: Highlight unsupported or special features in the active file
      * Triggered by: "baseline-checker.checkFile"
@@ -59,18 +75,87 @@ function activate(context) {
      */
     const chatDisposable = vscode.commands.registerCommand('baselineChecker.openChat', async () => {
       const feature = await vscode.window.showInputBox({
-        prompt: 'Enter the CSS/HTML feature you want help with',
-        placeHolder: 'e.g., dialog, grid-template-columns'
+        prompt: 'Enter the CSS/HTML/JS feature you want help with',
+        placeHolder: 'e.g., dialog, grid-template-columns, structuredClone'
       });
       if (feature) openChatbot(context, feature);
     });
 
+    /**
+     * Command: Ask the chatbot to rewrite the selected code for the configured targets
+     * Triggered by: "baselineChecker.askAboutSelection"
+     */
+    const askDisposable = vscode.commands.registerCommand('baselineChecker.askAboutSelection', async () => {
+      try {
+        await askAboutSelection(context);
+      } catch (error) {
+        console.error('Error in askAboutSelection:', error);
+        vscode.window.showErrorMessage(`Failed to ask about selection: ${error.message}`);
+      }
+    });
+
+    /**
+     * Command: Reopen a chat saved in this workspace
+     * Triggered by: "baselineChecker.showChatHistory"
+     */
+    const historyDisposable = vscode.commands.registerCommand('baselineChecker.showChatHistory', () => showChatHistory(context));
+
+    /**
+     * Command: Forget the AI answers cached in global storage
+     * Triggered by: "baselineChecker.clearAiCache"
+     */
+    const clearCacheDisposable = vscode.commands.registerCommand('baselineChecker.clearAiCache', () => clearResponseCache(context));
+
+    /**
+     * Command: Store the AI provider's API key in VS Code secret storage
+     * Triggered by: "baselineChecker.setApiKey"
+     */
+    const apiKeyDisposable = vscode.commands.registerCommand('baselineChecker.setApiKey', () => setApiKey(context));
+
+    /**
+     * Command: Scan every supported file in the workspace and list the results in the Baseline view
+     * Triggered by: "baselineChecker.scanWorkspace"
+     */
+    const scanDisposable = vscode.commands.registerCommand('baselineChecker.scanWorkspace', async () => {
+      if (!vscode.workspace.workspaceFolders) {
+        vscode.window.showInformationMessage('Open a folder to scan it for Baseline features.');
+        return;
+      }
+      try {
+        const results = await scanWorkspaceWithProgress();
+        showScanResults(results);
+        vscode.commands.executeCommand('baselineChecker.results.focus');
+      } catch (error) {
+        console.error('Error in scanWorkspace:', error);
+        vscode.window.showErrorMessage(`Failed to scan workspace: ${error.message}`);
+      }
+    });
+
+    /**
+     * Command: Export the findings of the current file or the workspace as JSON, SARIF or HTML
+     * Triggered by: "baselineChecker.exportReport"
+     */
+    const exportDisposable = vscode.commands.registerCommand('baselineChecker.exportReport', async () => {
+      try {
+        await exportReport();
+      } catch (error) {
+        console.error('Error in exportReport:', error);
+        vscode.window.showErrorMessage(`Failed to export report: ${error.message}`);
+      }
+    });
+
     // Add all command disposables to context for cleanup
     context.subscriptions.push(
       highlightDisposable,
       clearDisposable,
       alternativesDisposable,
-      chatDisposable
+      chatDisposable,
+      askDisposable,
+      historyDisposable,
+      clearCacheDisposable,
+      apiKeyDisposable,
+      scanDisposable,
+      exportDisposable
     );
 
     /**
@@ -93,6 +178,30 @@ function activate(context) {
       }
     }, null, context.subscriptions);
 
+    // Re-highlight when the Baseline target setting changes
+    vscode.workspace.onDidChangeConfiguration(event => {
+      const editor = vscode.window.activeTextEditor;
+      if (editor && event.affectsConfiguration('baselineChecker.target')) {
+        highlightFeatures(editor);
+      }
+    }, null, context.subscriptions);
+
+    // Reload browserslist targets, .baselineignore and .baseline-alternatives.json files when a config file changes
+    const configWatcher = vscode.workspace.createFileSystemWatcher(
+      '**/{.browserslistrc,package.json,.baselineignore,.baseline-alternatives.json}'
+    );
+    const reloadProjectConfig = () => {
+      clearBrowserTargets();
+      clearIgnoreFiles();
+      clearCatalogFiles();
+      const editor = vscode.window.activeTextEditor;
+      if (editor) highlightFeatures(editor);
+    };
+    configWatcher.onDidChange(reloadProjectConfig);
+    configWatcher.onDidCreate(reloadProjectConfig);
+    configWatcher.onDidDelete(reloadProjectConfig);
+    context.subscriptions.push(configWatcher);
+
     // Run highlight immediately if a file is already open
     const currentEditor = vscode.window.activeTextEditor;
     if (currentEditor) {
@@ -105,7 +214,13 @@ function activate(context) {
       'baseline-checker.checkFile',
       'baseline-checker.clearHighlights',
       'baselineChecker.getAlternatives',
-      'baselineChecker.openChat'
+      'baselineChecker.openChat',
+      'baselineChecker.askAboutSelection',
+      'baselineChecker.showChatHistory',
+      'baselineChecker.clearAiCache',
+      'baselineChecker.setApiKey',
+      'baselineChecker.scanWorkspace',
+      'baselineChecker.exportReport'
     ]);
   } catch (error) {
     console.error('❌ ACTIVATION FAILED:', error);
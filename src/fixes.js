@@ -0,0 +1,179 @@
+// ---------------- Imports ----------------
+// Editor-independent quick fixes for CSS findings (applied as edits by codeActions.js)
+const { getBcdData } = require("./baseline");
+const { coreBrowsers } = require("./browsers");
+
+// ---------------- Edits ----------------
+/**
+ * Indentation of the line an offset is on, or `null` when other text precedes the offset
+ */
+function getIndent(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  const before = text.slice(lineStart, offset);
+  return /^\s*$/.test(before) ? before : null;
+}
+
+/**
+ * Edit inserting declarations before a declaration, on their own lines when it has its own line
+ */
+function insertBefore(text, declaration, declarations) {
+  const indent = getIndent(text, declaration.start);
+  const separator = indent === null ? "; " : `;\n${indent}`;
+  return { start: declaration.start, end: declaration.start, text: declarations.map(d => d + separator).join("") };
+}
+
+/**
+ * Writes a declaration with a (possibly changed) property and value
+ */
+function formatDeclaration({ property, value, important }) {
+  return `${property}: ${value}${important ? " !important" : ""}`;
+}
+
+// ---------------- Fallback values ----------------
+/**
+ * Converts an oklab() color to an sRGB hex or rgba() color (clamped to the sRGB gamut)
+ */
+function oklabToRgb(l, a, b, alpha) {
+  const l_ = (l + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m_ = (l - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s_ = (l - 0.0894841775 * a - 1.291485548 * b) ** 3;
+  const linear = [
+    4.0767416621 * l_ - 3.3077115913 * m_ + 0.2309699292 * s_,
+    -1.2684380046 * l_ + 2.6097574011 * m_ - 0.3413193965 * s_,
+    -0.0041960863 * l_ - 0.7034186147 * m_ + 1.707614701 * s_,
+  ];
+  const channels = linear.map((c) => {
+    const encoded = c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055;
+    return Math.round(Math.min(Math.max(encoded, 0), 1) * 255);
+  });
+
+  if (alpha < 1) return `rgba(${channels.join(", ")}, ${alpha})`;
+  return `#${channels.map(c => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Reads a number or percentage; `percentScale` is the value of 100%
+ * Returns NaN for anything else (var(), none, calc(), ...)
+ */
+function parseComponent(text, percentScale) {
+  if (/^-?[\d.]+%$/.test(text)) return (parseFloat(text) / 100) * percentScale;
+  if (/^-?[\d.]+(deg)?$/.test(text)) return parseFloat(text);
+  return NaN;
+}
+
+/**
+ * Converts the arguments of an oklch() or oklab() function to an sRGB color, or `null`
+ */
+function convertOklabColor(fn, args) {
+  const [channels, alphaText = "1"] = args.split("/").map(part => part.trim());
+  const parts = channels.split(/\s+/);
+  if (parts.length !== 3) return null;
+
+  const l = parseComponent(parts[0], 1);
+  const alpha = parseComponent(alphaText, 1);
+  let a = parseComponent(parts[1], 0.4);
+  let b = parseComponent(parts[2], 0.4);
+  if (fn === "oklch") {
+    const hue = (b * Math.PI) / 180;
+    [a, b] = [a * Math.cos(hue), a * Math.sin(hue)];
+  }
+  if ([l, a, b, alpha].some(Number.isNaN)) return null;
+  return oklabToRgb(l, a, b, alpha);
+}
+
+// Rewrites a declaration value for browsers without the feature; each returns the value unchanged if it does not apply
+const fallbackRules = [
+  // Dynamic, small and large viewport units → classic viewport units (inline/block axes as width/height)
+  (property, value) => value.replace(/(\d|\.)[dsl]v(h|w|i|b|min|max)\b/gi, (_, digit, axis) =>
+    `${digit}v${({ i: "w", b: "h" })[axis.toLowerCase()] || axis}`),
+  // overflow: clip → overflow: hidden (same clipping, but scrollable from script)
+  (property, value) => /^overflow(-[xy])?$/i.test(property) ? value.replace(/\bclip\b/gi, "hidden") : value,
+  // oklch() / oklab() → the nearest sRGB color
+  (property, value) => {
+    let convertible = true;
+    const converted = value.replace(/\b(oklch|oklab)\(([^()]*)\)/gi, (match, fn, args) => {
+      const color = convertOklabColor(fn.toLowerCase(), args.trim());
+      if (!color) convertible = false;
+      return color || match;
+    });
+    return convertible ? converted : value;
+  },
+];
+
+/**
+ * Returns the fallback value of a declaration, or `null` if no rule knows one
+ */
+function getFallbackValue(property, value) {
+  const fallback = fallbackRules.reduce((current, rule) => rule(property, current), value);
+  return fallback !== value ? fallback : null;
+}
+
+// ---------------- Prefixes ----------------
+/**
+ * Returns the vendor-prefixed names a feature ships under in the core browsers,
+ * e.g. ["-webkit-backdrop-filter"] or ["-webkit-fill-available", "-moz-available"]
+ */
+function getPrefixedNames(key, name) {
+  const support = getBcdData(key)?.__compat?.support || {};
+  const names = new Set();
+
+  coreBrowsers.forEach((browser) => {
+    [].concat(support[browser] || []).forEach((statement) => {
+      if (statement.flags) return;
+      if (statement.prefix) names.add(`${statement.prefix}${name}`);
+      if (statement.alternative_name?.startsWith("-")) names.add(statement.alternative_name);
+    });
+  });
+  return [...names];
+}
+
+// ---------------- Fixes ----------------
+/**
+ * Returns the quick fixes for a CSS finding as [{ title, edits: [{ start, end, text }] }]
+ * - add the vendor-prefixed declarations before it
+ * - add a fallback declaration before it (classic viewport units, overflow: hidden, sRGB colors)
+ * - wrap its rule in @supports testing the declaration or selector
+ */
+function getCssFixes(text, finding) {
+  const { rule, declaration, selector } = finding.css || {};
+  const fixes = [];
+
+  if (declaration) {
+    const isProperty = finding.index === declaration.start;
+    const token = text.slice(finding.index, finding.index + finding.length);
+    const offset = finding.index - text.indexOf(declaration.value, declaration.start);
+
+    const prefixed = getPrefixedNames(finding.key, token).map(name => formatDeclaration(isProperty
+      ? { ...declaration, property: name }
+      : { ...declaration, value: declaration.value.slice(0, offset) + name + declaration.value.slice(offset + token.length) }));
+    if (prefixed.length > 0) {
+      fixes.push({ title: `Add ${prefixed.join(", ")}`, edits: [insertBefore(text, declaration, prefixed)] });
+    }
+
+    const fallback = !isProperty && getFallbackValue(declaration.property, declaration.value);
+    if (fallback) {
+      const fallbackDeclaration = formatDeclaration({ ...declaration, value: fallback });
+      fixes.push({ title: `Add fallback ${fallbackDeclaration}`, edits: [insertBefore(text, declaration, [fallbackDeclaration])] });
+    }
+  }
+
+  const condition = declaration
+    ? !/\bvar\(/i.test(declaration.value) && `(${declaration.property}: ${declaration.value})`
+    : selector && `selector(${selector})`;
+  if (rule && condition) {
+    const indent = getIndent(text, rule.start) ?? "";
+    const body = text.slice(rule.start, rule.end).replace(/\n/g, "\n  ");
+    fixes.push({
+      title: `Wrap in @supports ${condition}`,
+      edits: [{ start: rule.start, end: rule.end, text: `@supports ${condition} {\n${indent}  ${body}\n${indent}}` }],
+    });
+  }
+  return fixes;
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  getFallbackValue,
+  getPrefixedNames,
+  getCssFixes
+};
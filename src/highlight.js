@@ -1,171 +1,213 @@
 // ---------------- Imports ----------------
+const path = require("path");
 const vscode = require("vscode");
-const { getStatus } = require("compute-baseline");
+const { getFeatureId } = require("./baseline");
+const { parseTarget } = require("./target");
+const { loadBrowserTargets } = require("./browsers");
+const { loadIgnoreFile, isPathIgnored } = require("./suppressions");
+const { supportedLanguages, analyzeSource, getFindingMessage } = require("./core");
 
 // ---------------- Decoration styles ----------------
 // Each decoration type adds a colored background and border for highlighting
+// Buckets follow the configured target (with the default "widely": red = limited, orange = newly, green = widely)
+// Usages guarded by @supports, a fallback or a prefixed pair are blue instead of red/orange
 const decorationTypes = {
   limited: vscode.window.createTextEditorDecorationType({
     backgroundColor: "rgba(239,68,68,0.2)", // red - unsupported / not baseline
     border: "1px solid rgba(239,68,68,0.5)",
     borderRadius: "3px",
   }),
-  newly: vscode.window.createTextEditorDecorationType({
-    backgroundColor: "rgba(249,115,22,0.2)", // orange - recently added (low baseline)
+  belowTarget: vscode.window.createTextEditorDecorationType({
+    backgroundColor: "rgba(249,115,22,0.2)", // orange - baseline, but newer than the target
     border: "1px solid rgba(249,115,22,0.5)",
     borderRadius: "3px",
   }),
-  widely: vscode.window.createTextEditorDecorationType({
-    backgroundColor: "rgba(34,197,94,0.15)", // green - widely supported (high baseline)
+  guarded: vscode.window.createTextEditorDecorationType({
+    backgroundColor: "rgba(59,130,246,0.15)", // blue - misses the target, but guarded
+    border: "1px dashed rgba(59,130,246,0.5)",
+    borderRadius: "3px",
+  }),
+  meetsTarget: vscode.window.createTextEditorDecorationType({
+    backgroundColor: "rgba(34,197,94,0.15)", // green - meets the target
     border: "1px solid rgba(34,197,94,0.4)",
     borderRadius: "3px",
   }),
 };
 
-// ---------------- Helper functions ----------------
+// ---------------- Diagnostics ----------------
+// Features that miss the target are also reported in the Problems panel
+const diagnostics = vscode.languages.createDiagnosticCollection("baseline");
+
+const diagnosticSeverity = {
+  limited: vscode.DiagnosticSeverity.Warning,
+  belowTarget: vscode.DiagnosticSeverity.Information,
+};
 
+// ---------------- Target ----------------
 /**
- * Build the Baseline key for a CSS property (e.g. css.properties.grid)
+ * Reads the Baseline target from the `baselineChecker.target` setting
  */
-function getCssBcdKey(property) {
-  return `css.properties.${property}`;
+function getTarget() {
+  return parseTarget(vscode.workspace.getConfiguration("baselineChecker").get("target", "widely"));
 }
 
 /**
- * Build the Baseline key for an HTML element (e.g. html.elements.dialog)
+ * Collects the analysis options of a file: the target plus its project's browserslist targets
+ * and .baselineignore (unsaved documents have neither)
+ * `ignored` is set when the .baselineignore excludes the file's path
  */
-function getHtmlBcdKey(element) {
-  return `html.elements.${element}`;
+function getAnalysisOptions(uri) {
+  const isFile = uri.scheme === "file";
+  const directory = isFile ? path.dirname(uri.fsPath) : null;
+  const ignoreFile = isFile ? loadIgnoreFile(directory) : null;
+
+  return {
+    target: getTarget(),
+    browsers: isFile ? loadBrowserTargets(directory) : null,
+    ignoredFeatures: ignoreFile?.features || [],
+    ignored: isFile && isPathIgnored(uri.fsPath, ignoreFile),
+  };
 }
 
+// ---------------- Build diagnostics ----------------
 /**
- * Safely fetch baseline status for a given key
- * Returns `null` if lookup fails
+ * Converts a finding into a VS Code diagnostic (limited/belowTarget only)
  */
-function getBcdStatus(key) {
-  try {
-    return getStatus(null, key);
-  } catch {
-    return null;
-  }
+function createDiagnostic(finding, range) {
+  const diagnostic = new vscode.Diagnostic(
+    range,
+    getFindingMessage(finding, getTarget()),
+    diagnosticSeverity[finding.level]
+  );
+  diagnostic.source = "Baseline";
+
+  // Link the feature id to its web-features status page when known
+  const featureId = getFeatureId(finding.key);
+  diagnostic.code = featureId
+    ? { value: featureId, target: vscode.Uri.parse(`https://webstatus.dev/features/${featureId}`) }
+    : finding.key;
+  return diagnostic;
 }
 
-// ---------------- Push highlight ranges ----------------
+// ---------------- Analyze document ----------------
+// Findings of the last analyzed version of each document (shared with the hover)
+const findingsCache = new Map();
+
 /**
- * Adds a text range to the correct highlight array based on baseline status
+ * Finds and evaluates the features used in a document
+ * Results are cached per document version and analysis options
  */
-function pushByStatus(index, length, status, editor, limited, newly, widely) {
-  const start = editor.document.positionAt(index);
-  const end = editor.document.positionAt(index + length);
-  const range = new vscode.Range(start, end);
-
-  if (!status || status.baseline === false) limited.push(range);   // unsupported
-  else if (status.baseline === "low") newly.push(range);           // recently supported
-  else if (status.baseline === "high") widely.push(range);         // widely supported
+function analyzeDocument(document) {
+  const uri = document.uri.toString();
+  const options = getAnalysisOptions(document.uri);
+  const settings = JSON.stringify(options);
+  const cached = findingsCache.get(uri);
+  const isFresh = cached &&
+    cached.version === document.version &&
+    cached.language === document.languageId &&
+    cached.settings === settings;
+  if (isFresh) return cached.findings;
+
+  const language = document.languageId;
+  const findings = options.ignored ? [] : analyzeSource(document.getText(), language, options);
+  findingsCache.set(uri, { version: document.version, language, settings, findings });
+  return findings;
 }
 
-// ---------------- Highlight CSS properties ----------------
 /**
- * Finds and highlights CSS properties in the active editor
- * Uses regex to detect "property: value;" patterns
+ * Finds and evaluates the features used in a file that is not open in an editor
  */
-function highlightCss(text, editor, limited, newly, widely) {
-  const regex = /([a-zA-Z-]+)\s*:\s*([^;]+);/g;
-  let match;
-
-  while ((match = regex.exec(text))) {
-    const property = match[1].trim();
-    const value = match[2].trim();
-
-    // Build keys for both property and property+value (if available)
-    const keys = [`css.properties.${property}`];
-    if (value) keys.push(`css.properties.${property}.${value}`);
-
-    // Check baseline status for each key and highlight accordingly
-    keys.forEach((key) => {
-      try {
-        const status = getStatus(null, key);
-        pushByStatus(match.index, property.length, status, editor, limited, newly, widely);
-      } catch {}
-    });
-  }
+function analyzeFile(uri, text, language) {
+  const options = getAnalysisOptions(uri);
+  return options.ignored ? [] : analyzeSource(text, language, options);
 }
 
-// ---------------- Highlight HTML tags ----------------
 /**
- * Finds and highlights HTML tags in the active editor
+ * Returns the finding under a position, with its range, or `null`
  */
-function highlightHtml(text, editor, limited, newly, widely) {
-  const tagRegex = /<\/?([a-zA-Z][a-zA-Z0-9-]*)/g;
-  const checkedTags = new Set();
-  let match;
-
-  while ((match = tagRegex.exec(text))) {
-    const tagName = match[1].toLowerCase();
-    if (checkedTags.has(tagName)) continue; // Skip already checked tags
-    checkedTags.add(tagName);
-
-    try {
-      const status = getStatus(null, `html.elements.${tagName}`);
-      if (!status) continue;
-
-      // Match all opening and closing tags for the same element
-      const allTags = new RegExp(`<\\/?${tagName}(?=[\\s>/])`, "gi");
-      let tagMatch;
-      while ((tagMatch = allTags.exec(text))) {
-        const startIdx = tagMatch.index + (tagMatch[0].startsWith('</') ? 2 : 1);
-        pushByStatus(startIdx, tagName.length, status, editor, limited, newly, widely);
-      }
-    } catch {}
-  }
+function getFindingAt(document, position) {
+  const offset = document.offsetAt(position);
+  const finding = analyzeDocument(document)
+    .find(f => offset >= f.index && offset <= f.index + f.length);
+  if (!finding) return null;
+
+  const range = new vscode.Range(
+    document.positionAt(finding.index),
+    document.positionAt(finding.index + finding.length)
+  );
+  return { ...finding, range };
 }
 
 // ---------------- Main highlight function ----------------
 /**
- * Highlights unsupported or newly supported features in the editor
- * - CSS: highlights properties and values
- * - HTML: highlights tags
+ * Highlights features by how they compare to the Baseline target
+ * Decorations and diagnostics are built from the same findings
  */
 function highlightFeatures(editor) {
   if (!editor) return;
 
-  const text = editor.document.getText();
-  const language = editor.document.languageId;
-
-  const limited = [];
-  const newly = [];
-  const widely = [];
+  const document = editor.document;
+  const findings = analyzeDocument(document);
 
-  // Handle CSS-like languages
-  if (["css", "scss", "less"].includes(language))
-    highlightCss(text, editor, limited, newly, widely);
+  const ranges = { limited: [], belowTarget: [], guarded: [], meetsTarget: [] };
+  const problems = [];
 
-  // Handle HTML files
-  if (language.includes("html"))
-    highlightHtml(text, editor, limited, newly, widely);
+  findings.forEach((finding) => {
+    const range = new vscode.Range(
+      document.positionAt(finding.index),
+      document.positionAt(finding.index + finding.length)
+    );
+    ranges[finding.level].push(range);
+    if (diagnosticSeverity[finding.level] !== undefined) problems.push(createDiagnostic(finding, range));
+  });
 
   // Apply decorations
-  editor.setDecorations(decorationTypes.limited, limited);
-  editor.setDecorations(decorationTypes.newly, newly);
-  editor.setDecorations(decorationTypes.widely, widely);
+  editor.setDecorations(decorationTypes.limited, ranges.limited);
+  editor.setDecorations(decorationTypes.belowTarget, ranges.belowTarget);
+  editor.setDecorations(decorationTypes.guarded, ranges.guarded);
+  editor.setDecorations(decorationTypes.meetsTarget, ranges.meetsTarget);
+
+  // Publish diagnostics
+  diagnostics.set(document.uri, problems);
 }
 
 // ---------------- Clear highlights ----------------
 /**
- * Removes all highlight decorations from the editor
+ * Removes all highlight decorations and diagnostics from the editor
  */
 function clearHighlights(editor) {
   if (!editor) return;
   editor.setDecorations(decorationTypes.limited, []);
-  editor.setDecorations(decorationTypes.newly, []);
-  editor.setDecorations(decorationTypes.widely, []);
+  editor.setDecorations(decorationTypes.belowTarget, []);
+  editor.setDecorations(decorationTypes.guarded, []);
+  editor.setDecorations(decorationTypes.meetsTarget, []);
+  diagnostics.delete(editor.document.uri);
+}
+
+// ---------------- Register diagnostics ----------------
+/**
+ * Disposes the diagnostic collection with the extension and
+ * drops a document's problems and cached findings once it is closed
+ */
+function registerDiagnostics(context) {
+  context.subscriptions.push(
+    diagnostics,
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      diagnostics.delete(document.uri);
+      findingsCache.delete(document.uri.toString());
+    })
+  );
 }
 
 // ---------------- Exports ----------------
-module.exports = { 
-  highlightFeatures, 
+module.exports = {
+  highlightFeatures,
   clearHighlights,
-  getCssBcdKey,
-  getHtmlBcdKey,
-  getBcdStatus
+  registerDiagnostics,
+  getFindingAt,
+  analyzeDocument,
+  analyzeFile,
+  getTarget,
+  getAnalysisOptions,
+  supportedLanguages
 };
@@ -1,95 +1,62 @@
 // ---------------- Imports ----------------
 const vscode = require('vscode');
-const { getCssBcdKey, getHtmlBcdKey, getBcdStatus } = require('./highlight');
+const { getBrowserName, isSupported, formatBaselineDate, getFeatureId } = require('./baseline');
+const { meetsTarget, describeTarget } = require('./target');
+const { getVersionAdded, formatFailingBrowser } = require('./browsers');
+const { getFindingAt, getTarget, supportedLanguages } = require('./highlight');
+const { isAiEnabled, hasOfflineAlternatives } = require('./chatbot');
 
-// ---------------- Utility: Browser name mapping ----------------
+// ---------------- Guards ----------------
 /**
- * Converts internal browser keys to human-friendly names.
+ * Wraps source text in a Markdown code span; the fence is longer than any backtick run inside,
+ * so the text cannot close the span and inject links into the (trusted) hover
  */
-function getBrowserName(browser) {
-  const names = {
-    chrome: 'Chrome',
-    firefox: 'Firefox',
-    safari: 'Safari',
-    edge: 'Edge',
-    opera: 'Opera',
-    brave: 'Brave',
-    chrome_android: 'Chrome Android',
-    firefox_android: 'Firefox Android',
-    safari_ios: 'Safari iOS',
-    samsung_internet: 'Samsung Internet',
-    webview_android: 'WebView',
-    opera_android: 'Opera Android',
-    ie: 'IE'
-  };
-  return names[browser] || browser;
+function toCodeSpan(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence} ${text} ${fence}`;
 }
 
 /**
- * Returns true if the browser version indicates support.
+ * Describes what guards a usage, e.g. "`@supports (display: grid)`" or "the fallback `color: #fff`"
  */
-function isSupported(version) {
-  return version !== false && version != null;
+function describeGuard(guard) {
+  if (guard.type === 'fallback') return `the fallback ${toCodeSpan(guard.detail)}`;
+  if (guard.type === 'prefix') return `the prefixed ${toCodeSpan(guard.detail)}`;
+  return toCodeSpan(guard.detail);
 }
 
 // ---------------- Register Hover Provider ----------------
 /**
- * Registers a hover provider for HTML/CSS files.
- * When the user hovers over a feature (tag or property),
+ * Registers a hover provider for HTML/CSS/JS files.
+ * When the user hovers over a feature (tag, property, value or selector),
  * it shows baseline support info and browser compatibility.
  */
 function registerHoverProvider(context) {
   const provider = vscode.languages.registerHoverProvider(
-    ['css', 'scss', 'less', 'html', 'django-html', 'jinja-html'],
+    supportedLanguages,
     {
       /**
        * Main hover function.
-       * Detects the feature under the cursor and builds a markdown hover tooltip.
+       * Looks up the feature under the cursor in the same findings the highlighter uses
+       * and builds a markdown hover tooltip.
        */
       provideHover(document, position) {
-        let wordRange, word, bcdKey, featureType;
-
-        // ---------- CSS / SCSS / LESS ----------
-        if (['css', 'scss', 'less'].includes(document.languageId)) {
-          // Match CSS property or variable name
-          wordRange = document.getWordRangeAtPosition(position, /[@:]?[\w-]+/);
-          if (!wordRange) return null;
-
-          word = document.getText(wordRange);
-          bcdKey = getCssBcdKey(word);
-          featureType = 'css';
-        } 
-        // ---------- HTML and Template Languages ----------
-        else if (document.languageId.includes('html')) {
-          wordRange = document.getWordRangeAtPosition(position, /[a-zA-Z][\w-]*/);
-          if (!wordRange) return null;
-
-          word = document.getText(wordRange);
-          const line = document.lineAt(position.line).text;
-          const charPos = position.character;
-
-          // Check if cursor is inside an HTML tag
-          let open = line.lastIndexOf('<', charPos);
-          let close = line.indexOf('>', charPos);
-          if (open === -1 || close === -1 || charPos < open || charPos > close) return null;
-
-          bcdKey = getHtmlBcdKey(word);
-          featureType = 'html';
-        }
+        // ---------- Feature under the cursor ----------
+        const finding = getFindingAt(document, position);
+        if (!finding) return null;
 
-        // ---------- No feature found ----------
-        if (!bcdKey) return null;
-        const status = getBcdStatus(bcdKey);
-        if (!status) return null;
+        const { name: word, key, type: featureType, range: wordRange, status, failingBrowsers, guard } = finding;
 
         // ---------- Build hover tooltip ----------
         try {
           const markdown = new vscode.MarkdownString();
-          markdown.isTrusted = true;
+          // Only the Get Alternatives link may run a command
+          markdown.isTrusted = { enabledCommands: ['baselineChecker.getAlternatives'] };
           markdown.supportHtml = true;
 
           // Title (Feature name)
-          markdown.appendMarkdown(`### \`${word}\`\n\n`);
+          markdown.appendMarkdown(`### ${toCodeSpan(word)}\n\n`);
 
           // ---------- Baseline status ----------
           let baselineText = '';
@@ -103,19 +70,34 @@ function registerHoverProvider(context) {
 
           // Add baseline date if available
           if (status.baseline_low_date) {
-            const date = new Date(status.baseline_low_date).toLocaleDateString('en-US', { 
-              year: 'numeric', 
-              month: 'short' 
-            });
-            baselineText += ` · Since ${date}`;
+            baselineText += ` · Since ${formatBaselineDate(status.baseline_low_date)}`;
           }
           markdown.appendMarkdown(baselineText + '\n\n');
 
+          // ---------- Configured target ----------
+          const target = getTarget();
+          const passesTarget = meetsTarget(status, target);
+          markdown.appendMarkdown(passesTarget
+            ? `**Target:** ✓ Meets ${describeTarget(target)}\n\n`
+            : `**Target:** ✗ Does not meet ${describeTarget(target)}\n\n`);
+
+          // ---------- Guard ----------
+          // Older browsers skip guarded usages (only worth mentioning when support is missing)
+          if (guard && finding.level === 'guarded') {
+            markdown.appendMarkdown(`**Guarded:** 🛡 by ${describeGuard(guard)}, older browsers skip it\n\n`);
+          }
+
+          // ---------- Browserslist targets ----------
+          if (failingBrowsers) {
+            markdown.appendMarkdown(failingBrowsers.length > 0
+              ? `**Your browsers:** ✗ ${failingBrowsers.map(formatFailingBrowser).join(', ')}\n\n`
+              : `**Your browsers:** ✓ Supported by all browserslist targets\n\n`);
+          }
+
           // ---------- Browser support section ----------
-          const support = status.support || {};
           const browsers = {
             desktop: ['chrome', 'edge', 'firefox', 'safari'],
-            mobile: ['chrome_android', 'safari_ios', 'firefox_android', 'samsung_internet']
+            mobile: ['chrome_android', 'safari_ios', 'firefox_android', 'samsunginternet_android']
           };
 
           const allUnsupported = [];
@@ -124,8 +106,9 @@ function registerHoverProvider(context) {
           const desktopSupported = [];
           const desktopUnsupported = [];
           browsers.desktop.forEach(browser => {
-            const version = support[browser];
+            const version = getVersionAdded(key, status, browser);
             const name = getBrowserName(browser);
+            if (version === undefined) return; // no compat data for this browser
 
             if (isSupported(version)) {
               const versionText = version === true ? '' : ` ${version}+`;
@@ -148,8 +131,9 @@ function registerHoverProvider(context) {
           const mobileSupported = [];
           const mobileUnsupported = [];
           browsers.mobile.forEach(browser => {
-            const version = support[browser];
+            const version = getVersionAdded(key, status, browser);
             const name = getBrowserName(browser);
+            if (version === undefined) return; // no compat data for this browser
 
             if (isSupported(version)) {
               const versionText = version === true ? '' : ` ${version}+`;
@@ -168,17 +152,21 @@ function registerHoverProvider(context) {
           }
           markdown.appendMarkdown('\n\n');
 
-          // ---------- Add "Get Alternatives" button ----------
-          const hasIssues = status.baseline === 'low' || 
-                            status.baseline === false || 
-                            allUnsupported.length > 0;
+          // ---------- Add "Get Alternatives" button (AI or the offline catalog) ----------
+          const failing = (failingBrowsers || []).map(f => f.browser);
+          const hasIssues = !passesTarget || allUnsupported.length > 0 || failing.length > 0;
+          const featureId = getFeatureId(key);
 
-          if (hasIssues) {
+          if (hasIssues && (isAiEnabled() || hasOfflineAlternatives(featureId, document.uri))) {
             const args = {
               feature: word,
+              featureId,
               type: featureType,
               baseline: status.baseline,
-              unsupportedBrowsers: allUnsupported
+              unsupportedBrowsers: [...new Set([...allUnsupported, ...failing])],
+              // Lets the chat send the code around the feature and ask for a rewrite
+              uri: document.uri.toString(),
+              offset: finding.index
             };
             const commandUri = `command:baselineChecker.getAlternatives?${encodeURIComponent(JSON.stringify(args))}`;
             markdown.appendMarkdown(`[Get Alternatives →](${commandUri})\n\n`);
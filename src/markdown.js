@@ -0,0 +1,47 @@
+// ---------------- Markdown ----------------
+// Renders AI answers and catalog entries for the chat webview
+// The functions are self-contained: chatbot.js also embeds their source in the webview script
+
+/**
+ * Escape HTML safely (prevents XSS attacks inside WebView)
+ */
+function escapeHtml(text) {
+  const map = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#039;" };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Converts the Markdown of an answer to HTML
+ * All text is escaped, so markup in answers (e.g. "<dialog>") shows as text; only http(s) links are linked
+ * Code blocks get Insert / Replace Selection / Show Diff buttons
+ */
+function convertMarkdown(md) {
+  if (!md) return "";
+  const blocks = [], codes = [];
+  const html = escapeHtml(md
+    .replace(/```[\s\S]*?```/g, (m) => { blocks.push(m); return `__B${blocks.length - 1}__`; })
+    .replace(/`[^`\n]+`/g, (m) => { codes.push(m); return `__C${codes.length - 1}__`; }));
+
+  return html
+    .replace(/^### (.*$)/gim, "<h3>$1</h3>")
+    .replace(/^## (.*$)/gim, "<h2>$1</h2>")
+    .replace(/^# (.*$)/gim, "<h1>$1</h1>")
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(.+?)\*/g, "<em>$1</em>")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, "<a href=\"$2\" target=\"_blank\">$1</a>")
+    .replace(/\n/g, "<br>")
+    .replace(/__B(\d+)__/g, (placeholder, i) => {
+      if (blocks[i] === undefined) return placeholder;
+      const m = blocks[i].match(/```(\w+)?\n([\s\S]*?)```/);
+      return m ? `<div class="code-block"><pre><code>${escapeHtml(m[2])}</code></pre>
+        <div class="code-actions">
+          <button data-action="insert" title="Insert at the cursor">Insert</button>
+          <button data-action="replace" title="Replace the selection (or the code you asked about) after a preview">Replace Selection</button>
+          <button data-action="diff" title="Compare with the current code">Show Diff</button>
+        </div></div>` : escapeHtml(blocks[i]);
+    })
+    .replace(/__C(\d+)__/g, (placeholder, i) => codes[i] === undefined ? placeholder : `<code>${escapeHtml(codes[i].slice(1, -1))}</code>`);
+}
+
+// ---------------- Exports ----------------
+module.exports = { escapeHtml, convertMarkdown };
@@ -0,0 +1,46 @@
+// ---------------- Imports ----------------
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const defaultModel = "gemini-2.5-flash-lite";
+
+// ---------------- Provider ----------------
+/**
+ * Chat provider backed by Google Gemini
+ * The system prompt is sent as the first turn, acknowledged by the model, followed by any restored history
+ */
+function createGeminiProvider({ apiKey, model, temperature, maxOutputTokens }) {
+  return {
+    name: "Gemini",
+
+    startChat(system, history = []) {
+      const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+        model: model || defaultModel,
+        generationConfig: { temperature, maxOutputTokens },
+      });
+      const chat = generativeModel.startChat({
+        history: [
+          ...(system ? [
+            { role: "user", parts: [{ text: system }] },
+            { role: "model", parts: [{ text: "Understood. I'll provide concise help." }] },
+          ] : []),
+          ...history.map(({ role, text }) => ({ role: role === "assistant" ? "model" : "user", parts: [{ text }] })),
+        ],
+      });
+
+      return {
+        async sendMessage(text) {
+          const result = await chat.sendMessage(text);
+          return result.response.text();
+        },
+
+        async *sendMessageStream(text, { signal } = {}) {
+          const result = await chat.sendMessageStream(text, { signal });
+          for await (const chunk of result.stream) yield chunk.text();
+        },
+      };
+    },
+  };
+}
+
+// ---------------- Exports ----------------
+module.exports = { createGeminiProvider };
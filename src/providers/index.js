@@ -0,0 +1,48 @@
+// ---------------- Imports ----------------
+// Chat providers share one interface: { name, startChat(system, history) } where `history` holds
+// the earlier messages of a restored conversation as [{ role: "user" | "assistant", text }] and the session has
+// - sendMessage(text) → Promise<reply text>
+// - sendMessageStream(text, { signal }) → async iterable of reply chunks, aborted through `signal`
+// A reply only joins the conversation history once it is complete
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAiProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+// ---------------- Providers ----------------
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Creates the provider named by `settings.provider`, or returns `null` for "none" (no AI)
+ * `settings` holds { provider, model, endpoint, temperature, maxOutputTokens, apiKey }
+ */
+function createProvider(settings) {
+  if (settings.provider === "none") return null;
+
+  const create = providers[settings.provider];
+  if (!create) throw new Error(`Unknown AI provider "${settings.provider}".`);
+  return create(settings);
+}
+
+// ---------------- API keys ----------------
+// Where each provider's API key is looked up: VS Code secret storage first, then an environment variable
+const apiKeySources = {
+  gemini: { label: "Gemini", secret: "baselineChecker.apiKey.gemini", env: "GEMINI_API_KEY" },
+  openai: { label: "OpenAI-compatible endpoint", secret: "baselineChecker.apiKey.openai", env: "OPENAI_API_KEY" },
+};
+
+/**
+ * Reads a provider's API key from `secrets` (VS Code SecretStorage), falling back to its environment variable
+ * Resolves with `undefined` when none is set or the provider takes no key
+ */
+async function getApiKey(secrets, provider, env = process.env) {
+  const source = apiKeySources[provider];
+  if (!source) return undefined;
+  return (await secrets.get(source.secret)) || env[source.env] || undefined;
+}
+
+// ---------------- Exports ----------------
+module.exports = { createProvider, apiKeySources, getApiKey };
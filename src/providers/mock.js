@@ -0,0 +1,42 @@
+// ---------------- Provider ----------------
+/**
+ * Chat provider for tests: answers from `replies` (a list used in order, or a function of the prompt)
+ * and records every chat in `chats` as { system, messages } (the user messages, restored history included)
+ * Streamed replies arrive word by word
+ */
+function createMockProvider({ replies = [] } = {}) {
+  const queue = Array.isArray(replies) ? [...replies] : [];
+  const chats = [];
+
+  return {
+    name: "Mock",
+    chats,
+
+    startChat(system, history = []) {
+      const chat = { system, messages: history.filter(m => m.role === "user").map(m => m.text) };
+      chats.push(chat);
+
+      const session = {
+        async sendMessage(text) {
+          chat.messages.push(text);
+          const reply = typeof replies === "function" ? replies(text) : queue.shift();
+          if (reply instanceof Error) throw reply;
+          return reply ?? `Mock reply to: ${text}`;
+        },
+
+        async *sendMessageStream(text, { signal } = {}) {
+          const reply = await session.sendMessage(text);
+          for (const chunk of reply.match(/\S+\s*/g) || []) {
+            signal?.throwIfAborted();
+            yield chunk;
+            await new Promise(resolve => setImmediate(resolve));
+          }
+        },
+      };
+      return session;
+    },
+  };
+}
+
+// ---------------- Exports ----------------
+module.exports = { createMockProvider };
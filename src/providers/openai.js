@@ -0,0 +1,88 @@
+// ---------------- Streaming ----------------
+/**
+ * Reads the server-sent events of a streamed completion and yields the content deltas
+ * ("data: {json}" lines, ended by "data: [DONE]")
+ */
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue; // comments, event names and keep-alives
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+// ---------------- Provider ----------------
+/**
+ * Chat provider for OpenAI-compatible HTTP endpoints (/chat/completions),
+ * e.g. a local Ollama (http://localhost:11434/v1) or llama.cpp server
+ * The API key is optional; local servers usually do not need one
+ */
+function createOpenAiProvider({ endpoint, apiKey, model, temperature, maxOutputTokens }) {
+  if (!endpoint) throw new Error("Set baselineChecker.ai.endpoint to the URL of your OpenAI-compatible server.");
+  if (!model) throw new Error("Set baselineChecker.ai.model to a model your endpoint serves.");
+
+  const url = `${endpoint.replace(/\/+$/, "")}/chat/completions`;
+  const headers = { "Content-Type": "application/json", ...(apiKey && { Authorization: `Bearer ${apiKey}` }) };
+
+  /**
+   * Posts the conversation plus `text` and returns the response (throws on HTTP errors)
+   */
+  const request = async (messages, text, { stream = false, signal } = {}) => {
+    const body = {
+      model,
+      messages: [...messages, { role: "user", content: text }],
+      temperature,
+      max_tokens: maxOutputTokens,
+      ...(stream && { stream }),
+    };
+    const response = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status} ${response.statusText}: ${(await response.text()).slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  return {
+    name: "OpenAI-compatible",
+
+    startChat(system, history = []) {
+      const messages = [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...history.map(({ role, text }) => ({ role, content: text })),
+      ];
+
+      return {
+        async sendMessage(text) {
+          const data = await (await request(messages, text)).json();
+          const reply = data.choices?.[0]?.message?.content ?? "";
+          messages.push({ role: "user", content: text }, { role: "assistant", content: reply });
+          return reply;
+        },
+
+        async *sendMessageStream(text, { signal } = {}) {
+          const response = await request(messages, text, { stream: true, signal });
+          let reply = "";
+          for await (const delta of readEventStream(response.body)) {
+            reply += delta;
+            yield delta;
+          }
+          messages.push({ role: "user", content: text }, { role: "assistant", content: reply });
+        },
+      };
+    },
+  };
+}
+
+// ---------------- Exports ----------------
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,220 @@
+// ---------------- Imports ----------------
+const { version } = require("../package.json");
+const { getFeatureId, getBrowserName, getUnsupportedBrowsers } = require("./baseline");
+const { describeTarget } = require("./target");
+const { isProblem, getFindingMessage } = require("./core");
+const { formatFailingBrowser } = require("./browsers");
+const { escapeHtml } = require("./markdown");
+
+// ---------------- Report model ----------------
+/**
+ * Link to a feature's page on webstatus.dev
+ */
+function getFeatureUrl(featureId) {
+  return featureId ? `https://webstatus.dev/features/${featureId}` : null;
+}
+
+/**
+ * Builds the report for analyzed files
+ * `results` is [{ file, findings }] with `file` relative to the project root and
+ * 1-based line, column, endLine and endColumn on each finding
+ * Only findings that miss the target without a guard are listed; all of them are counted in the summary
+ */
+function createReport(results, { target, fileCount }) {
+  const summary = { files: fileCount, limited: 0, belowTarget: 0, guarded: 0, meetsTarget: 0 };
+  const findings = [];
+
+  results.forEach(({ file, findings: fileFindings }) => {
+    fileFindings.forEach((f) => {
+      summary[f.level]++;
+      if (!isProblem(f)) return;
+
+      const featureId = getFeatureId(f.key);
+      findings.push({
+        file: file.split("\\").join("/"),
+        line: f.line,
+        column: f.column,
+        endLine: f.endLine,
+        endColumn: f.endColumn,
+        name: f.name,
+        type: f.type,
+        featureId,
+        bcdKey: f.key,
+        url: getFeatureUrl(featureId),
+        level: f.level,
+        baseline: f.status.baseline,
+        baselineLowDate: f.status.baseline_low_date || null,
+        baselineHighDate: f.status.baseline_high_date || null,
+        support: f.status.support || {},
+        unsupportedBrowsers: getUnsupportedBrowsers(f.status).map(getBrowserName),
+        failingBrowsers: f.failingBrowsers ? f.failingBrowsers.map(formatFailingBrowser) : null,
+        message: getFindingMessage(f, target),
+      });
+    });
+  });
+
+  return {
+    tool: { name: "webbaseline", version },
+    generatedAt: new Date().toISOString(),
+    target: describeTarget(target),
+    summary,
+    findings,
+  };
+}
+
+// ---------------- JSON ----------------
+/**
+ * The report as pretty-printed JSON
+ */
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+// ---------------- SARIF ----------------
+// Finding levels mapped to SARIF result levels (same weight as the diagnostics)
+const sarifLevels = { limited: "warning", belowTarget: "note" };
+
+/**
+ * The report as a SARIF 2.1.0 log (one rule per feature) for code scanning
+ */
+function formatSarif(report) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const results = report.findings.map((f) => {
+    const ruleId = f.featureId || f.bcdKey;
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        name: f.name,
+        shortDescription: { text: `${f.name} misses the Baseline target` },
+        ...(f.url && { helpUri: f.url }),
+        properties: { bcdKey: f.bcdKey, type: f.type },
+      });
+    }
+
+    return {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: sarifLevels[f.level],
+      message: { text: f.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: f.file, uriBaseId: "%SRCROOT%" },
+          region: { startLine: f.line, startColumn: f.column, endLine: f.endLine, endColumn: f.endColumn },
+        },
+      }],
+      properties: {
+        baseline: f.baseline,
+        baselineLowDate: f.baselineLowDate,
+        baselineHighDate: f.baselineHighDate,
+        unsupportedBrowsers: f.unsupportedBrowsers,
+        ...(f.failingBrowsers && { failingBrowsers: f.failingBrowsers }),
+      },
+    };
+  });
+
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [{
+      tool: {
+        driver: {
+          name: report.tool.name,
+          version: report.tool.version,
+          informationUri: "https://github.com/Abhishekkr206/WebBaseline",
+          rules,
+        },
+      },
+      results,
+      properties: { target: report.target, summary: report.summary },
+    }],
+  };
+  return JSON.stringify(log, null, 2) + "\n";
+}
+
+// ---------------- HTML ----------------
+const statusLabels = { high: "Widely available", low: "Newly available", false: "Limited availability" };
+
+/**
+ * The report as a self-contained HTML page (inline styles, no scripts)
+ */
+function formatHtml(report) {
+  const { summary } = report;
+  const rows = report.findings.map((f) => {
+    const feature = f.url
+      ? `<a href="${escapeHtml(f.url)}">${escapeHtml(f.featureId)}</a>`
+      : `<code>${escapeHtml(f.bcdKey)}</code>`;
+    const dates = [f.baselineLowDate && `since ${f.baselineLowDate}`, f.baselineHighDate && `widely ${f.baselineHighDate}`]
+      .filter(Boolean).join("<br>");
+    const browsers = f.failingBrowsers || f.unsupportedBrowsers;
+
+    return `      <tr class="${f.level}">
+        <td><code>${escapeHtml(f.file)}:${f.line}:${f.column}</code></td>
+        <td><code>${escapeHtml(f.name)}</code></td>
+        <td>${feature}</td>
+        <td><span class="badge">${escapeHtml(statusLabels[f.baseline])}</span></td>
+        <td>${dates || "–"}</td>
+        <td>${browsers.length > 0 ? escapeHtml(browsers.join(", ")) : "–"}</td>
+        <td>${escapeHtml(f.message)}</td>
+      </tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Baseline report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #6b7280; margin-top: 0; }
+    .summary span { display: inline-block; margin-right: 1rem; padding: 0.25rem 0.75rem; border-radius: 999px; }
+    .summary .limited, tr.limited .badge { background: rgba(239,68,68,0.2); }
+    .summary .belowTarget, tr.belowTarget .badge { background: rgba(249,115,22,0.2); }
+    .summary .guarded { background: rgba(59,130,246,0.15); }
+    .summary .meetsTarget { background: rgba(34,197,94,0.15); }
+    table { border-collapse: collapse; width: 100%; margin-top: 1.5rem; font-size: 0.9rem; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    .badge { padding: 0.1rem 0.5rem; border-radius: 4px; white-space: nowrap; }
+  </style>
+</head>
+<body>
+  <h1>Baseline report</h1>
+  <p class="meta">Target: ${escapeHtml(report.target)} · ${summary.files} files · generated ${escapeHtml(report.generatedAt)} by ${escapeHtml(report.tool.name)} ${escapeHtml(report.tool.version)}</p>
+  <p class="summary">
+    <span class="limited">${summary.limited} limited</span>
+    <span class="belowTarget">${summary.belowTarget} below target</span>
+    <span class="guarded">${summary.guarded} guarded</span>
+    <span class="meetsTarget">${summary.meetsTarget} meet target</span>
+  </p>
+${rows.length > 0 ? `  <table>
+    <thead>
+      <tr><th>Location</th><th>Feature</th><th>Id</th><th>Baseline</th><th>Dates</th><th>Unsupported browsers</th><th>Details</th></tr>
+    </thead>
+    <tbody>
+${rows.join("\n")}
+    </tbody>
+  </table>` : "  <p>Every feature meets the target.</p>"}
+</body>
+</html>
+`;
+}
+
+// ---------------- Formats ----------------
+// Report formats with their file extension
+const reportFormats = {
+  json: { extension: "json", format: formatJson },
+  sarif: { extension: "sarif", format: formatSarif },
+  html: { extension: "html", format: formatHtml },
+};
+
+// ---------------- Exports ----------------
+module.exports = {
+  createReport,
+  formatJson,
+  formatSarif,
+  formatHtml,
+  reportFormats
+};
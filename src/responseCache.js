@@ -0,0 +1,73 @@
+// ---------------- Imports ----------------
+// Persistent cache of AI answers (a JSON file in the extension's global storage)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const maxEntries = 200;
+
+// ---------------- Keys ----------------
+/**
+ * Hashes what an answer depends on into a cache key, e.g.
+ * { promptVersion, provider, model, featureId, baseline, unsupported, prompt }
+ */
+function getCacheKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+// ---------------- Cache ----------------
+/**
+ * Creates a cache of answers stored in `file`: { [key]: { answer, createdAt } }
+ * Entries older than the `ttl` (ms) passed to get/set are expired; only the newest `maxEntries` are kept
+ * The file is read on first use; a missing or corrupt file starts empty
+ */
+function createResponseCache(file, { now = Date.now } = {}) {
+  let entries = null;
+
+  const load = async () => {
+    if (entries) return entries;
+    try {
+      entries = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch {
+      entries = {};
+    }
+    return entries;
+  };
+
+  return {
+    /**
+     * The cached { answer, createdAt } for a key, or `null` when missing or expired
+     */
+    async get(key, ttl) {
+      const entry = (await load())[key];
+      return entry && now() - entry.createdAt < ttl ? entry : null;
+    },
+
+    /**
+     * Stores an answer (dropping expired and the oldest entries) and writes the file
+     */
+    async set(key, answer, ttl) {
+      const kept = Object.entries(await load())
+        .filter(([, entry]) => now() - entry.createdAt < ttl)
+        .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+        .slice(0, maxEntries - 1);
+      entries = Object.fromEntries([[key, { answer, createdAt: now() }], ...kept]);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(entries), "utf8");
+    },
+
+    /**
+     * Forgets every answer; resolves with how many there were
+     */
+    async clear() {
+      const count = Object.keys(await load()).length;
+      entries = {};
+      await fs.promises.rm(file, { force: true });
+      return count;
+    },
+  };
+}
+
+// ---------------- Exports ----------------
+module.exports = { getCacheKey, createResponseCache };
@@ -0,0 +1,161 @@
+// ---------------- Imports ----------------
+const vscode = require("vscode");
+const { getFeatureId } = require("./baseline");
+const { isProblem } = require("./core");
+
+// ---------------- Levels ----------------
+// Levels in order of severity, with the highlight color they are shown in
+const levels = {
+  limited: { label: "limited", color: "charts.red" },
+  belowTarget: { label: "below target", color: "charts.orange" },
+  guarded: { label: "guarded", color: "charts.blue" },
+  meetsTarget: { label: "meet target", color: "charts.green" },
+};
+const levelOrder = Object.keys(levels);
+
+/**
+ * Colored dot matching a level's highlight color
+ */
+function getLevelIcon(level) {
+  return new vscode.ThemeIcon("circle-filled", new vscode.ThemeColor(levels[level].color));
+}
+
+// ---------------- State ----------------
+let scan = null; // last { files, results, truncated } from scanWorkspace
+let groupBy = "feature";
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * Flattens the scan results into { uri, finding } entries that miss the target
+ * (guarded features and those that meet it are only counted, listing them would bury the issues)
+ */
+function getIssueEntries() {
+  return (scan?.results || []).flatMap(({ uri, findings }) =>
+    findings.filter(isProblem).map(finding => ({ uri, finding })));
+}
+
+/**
+ * Groups the entries by feature (BCD key) or by file
+ */
+function getGroups() {
+  const groups = new Map();
+
+  getIssueEntries().forEach((entry) => {
+    const id = groupBy === "feature" ? entry.finding.key : entry.uri.toString();
+    if (!groups.has(id)) groups.set(id, { type: "group", id, entries: [] });
+    groups.get(id).entries.push(entry);
+  });
+
+  const sorted = [...groups.values()];
+  if (groupBy === "file") {
+    const pathOf = group => vscode.workspace.asRelativePath(group.entries[0].uri);
+    return sorted.sort((a, b) => pathOf(a).localeCompare(pathOf(b)));
+  }
+
+  // Worst level first, then the most used features
+  const worst = group => Math.min(...group.entries.map(e => levelOrder.indexOf(e.finding.level)));
+  return sorted.sort((a, b) => worst(a) - worst(b) || b.entries.length - a.entries.length);
+}
+
+/**
+ * Summary line shown above the tree, e.g. "42 files · 3 limited · 5 below target · 2 guarded · 120 meet target"
+ */
+function getSummary() {
+  const counts = { limited: 0, belowTarget: 0, guarded: 0, meetsTarget: 0 };
+  scan.results.forEach(({ findings }) => findings.forEach((f) => { counts[f.level]++; }));
+
+  const parts = levelOrder.map(level => `${counts[level]} ${levels[level].label}`);
+  const truncated = scan.truncated ? " (file limit reached)" : "";
+  return `${scan.files} files${truncated} · ${parts.join(" · ")}`;
+}
+
+// ---------------- Tree data ----------------
+const treeDataProvider = {
+  onDidChangeTreeData: changeEmitter.event,
+
+  /**
+   * Root: the groups; group: its entries sorted by file and position
+   */
+  getChildren(node) {
+    if (!node) return getGroups();
+    return node.entries
+      .map(entry => ({ type: "entry", ...entry }))
+      .sort((a, b) => a.uri.toString().localeCompare(b.uri.toString()) ||
+        a.finding.range.start.compareTo(b.finding.range.start));
+  },
+
+  getTreeItem(node) {
+    if (node.type === "group") return getGroupItem(node);
+
+    const { uri, finding } = node;
+    const { line, character } = finding.range.start;
+    const item = groupBy === "feature"
+      ? new vscode.TreeItem(`${vscode.workspace.asRelativePath(uri)}:${line + 1}`)
+      : new vscode.TreeItem(finding.name);
+    item.description = groupBy === "feature" ? levels[finding.level].label : `Ln ${line + 1}, Col ${character + 1}`;
+    item.iconPath = getLevelIcon(finding.level);
+    item.command = { command: "vscode.open", title: "Open", arguments: [uri, { selection: finding.range }] };
+    return item;
+  },
+};
+
+/**
+ * A feature (colored by its worst level) or a file, with its number of issues
+ */
+function getGroupItem(group) {
+  const { uri, finding } = group.entries[0];
+  const item = new vscode.TreeItem(
+    groupBy === "feature" ? finding.name : vscode.workspace.asRelativePath(uri),
+    vscode.TreeItemCollapsibleState.Collapsed
+  );
+  item.description = `${group.entries.length}`;
+
+  if (groupBy === "feature") {
+    const worst = levelOrder.find(level => group.entries.some(e => e.finding.level === level));
+    item.iconPath = getLevelIcon(worst);
+    item.tooltip = `${getFeatureId(finding.key) || finding.key} · ${levels[worst].label}`;
+  } else {
+    item.resourceUri = uri;
+    item.iconPath = vscode.ThemeIcon.File;
+  }
+  return item;
+}
+
+// ---------------- Register view ----------------
+let treeView = null;
+
+/**
+ * Switches between grouping by feature and by file
+ */
+function setGroupBy(value) {
+  groupBy = value;
+  vscode.commands.executeCommand("setContext", "baselineChecker.groupBy", value);
+  changeEmitter.fire();
+}
+
+/**
+ * Creates the results tree view and its group-by commands
+ */
+function registerResultsView(context) {
+  treeView = vscode.window.createTreeView("baselineChecker.results", { treeDataProvider });
+  setGroupBy(groupBy);
+
+  context.subscriptions.push(
+    treeView,
+    changeEmitter,
+    vscode.commands.registerCommand("baselineChecker.groupByFeature", () => setGroupBy("feature")),
+    vscode.commands.registerCommand("baselineChecker.groupByFile", () => setGroupBy("file"))
+  );
+}
+
+/**
+ * Shows the results of a workspace scan in the view
+ */
+function showScanResults(results) {
+  scan = results;
+  if (treeView) treeView.message = getSummary();
+  changeEmitter.fire();
+}
+
+// ---------------- Exports ----------------
+module.exports = { registerResultsView, showScanResults };
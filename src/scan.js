@@ -0,0 +1,96 @@
+// ---------------- Imports ----------------
+const path = require("path");
+const vscode = require("vscode");
+const { analyzeFile } = require("./highlight");
+const { sourceGlob, getFileLanguage, getLineStarts, positionAt, parseGitignore, isScannedFile } = require("./core");
+
+// ---------------- Files ----------------
+// Upper bounds so a huge workspace cannot stall the scan: files listed (before .gitignore/.baselineignore) and files analyzed
+const MAX_FOUND = 50000;
+const MAX_FILES = 5000;
+
+/**
+ * Builds the exclude glob from the `files.exclude` setting plus node_modules
+ * (passing our own glob to findFiles turns its default files.exclude handling off)
+ */
+function getExcludeGlob() {
+  const excludes = vscode.workspace.getConfiguration("files").get("exclude", {});
+  const patterns = Object.keys(excludes).filter(pattern => excludes[pattern] === true);
+  return `{${[...patterns, "**/node_modules/**"].join(",")}}`;
+}
+
+/**
+ * Loads every .gitignore of the workspace
+ */
+async function loadGitignores(token) {
+  const files = await vscode.workspace.findFiles("**/.gitignore", "**/node_modules/**", undefined, token);
+
+  return Promise.all(files.map(async (uri) => {
+    const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString("utf8");
+    return parseGitignore(path.dirname(uri.fsPath), content);
+  }));
+}
+
+// ---------------- Scan ----------------
+/**
+ * Reads a file for analysis; open documents are used as-is so unsaved edits count
+ */
+async function readFile(uri) {
+  const document = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+  if (document) return { text: document.getText(), language: document.languageId };
+
+  const bytes = await vscode.workspace.fs.readFile(uri);
+  return { text: Buffer.from(bytes).toString("utf8"), language: getFileLanguage(uri.fsPath) };
+}
+
+/**
+ * Runs the analysis over every supported file of the workspace
+ * Respects files.exclude, .gitignore and .baselineignore; stops early when `token` is cancelled
+ * Returns { files, results } where each result is { uri, findings } and findings carry a `range`
+ */
+async function scanWorkspace(progress, token) {
+  const [found, gitignores] = await Promise.all([
+    vscode.workspace.findFiles(sourceGlob, getExcludeGlob(), MAX_FOUND, token),
+    loadGitignores(token),
+  ]);
+  const scanned = found.filter(uri => isScannedFile(uri.fsPath, gitignores));
+  const files = scanned.slice(0, MAX_FILES);
+  const results = [];
+
+  for (const uri of files) {
+    if (token.isCancellationRequested) break;
+    progress.report({ message: vscode.workspace.asRelativePath(uri), increment: 100 / files.length });
+
+    try {
+      const { text, language } = await readFile(uri);
+      const lineStarts = getLineStarts(text);
+      const toPosition = (offset) => {
+        const { line, character } = positionAt(lineStarts, offset);
+        return new vscode.Position(line, character);
+      };
+      const findings = analyzeFile(uri, text, language).map(f => ({
+        ...f,
+        range: new vscode.Range(toPosition(f.index), toPosition(f.index + f.length)),
+      }));
+      if (findings.length > 0) results.push({ uri, findings });
+    } catch (error) {
+      console.error(`Failed to scan ${uri.fsPath}:`, error);
+    }
+  }
+
+  return { files: files.length, results, truncated: scanned.length > MAX_FILES || found.length >= MAX_FOUND };
+}
+
+/**
+ * Runs the workspace scan behind a cancellable progress notification
+ */
+function scanWorkspaceWithProgress() {
+  return vscode.window.withProgress({
+    location: vscode.ProgressLocation.Notification,
+    title: "Baseline: Scanning workspace",
+    cancellable: true,
+  }, (progress, token) => scanWorkspace(progress, token));
+}
+
+// ---------------- Exports ----------------
+module.exports = { scanWorkspace, scanWorkspaceWithProgress };
@@ -0,0 +1,134 @@
+// ---------------- Imports ----------------
+const fs = require("fs");
+const path = require("path");
+const ignore = require("ignore");
+const webFeatures = require("web-features/data.json");
+const { getFeatureId } = require("./baseline");
+
+// ---------------- Comments ----------------
+// baseline-ignore / baseline-ignore-next-line inside a CSS/JS (/* */, //), HTML (<!-- -->) or Jinja ({# #}) comment,
+// followed by optional feature ids and an optional "-- reason"
+const directiveRegex = /(?:\/\*|\/\/|<!--|\{#)\s*baseline-ignore(-next-line)?(?!\w|-(?!->))([^\n]*?)(?:\*\/|-->|#\}|$)/gm;
+
+/**
+ * Reads the suppression comments of a text
+ * Returns [{ nextLine, line, ids }]: `line` is the zero-based line of the comment,
+ * an empty `ids` list means every feature
+ */
+function parseDirectives(text) {
+  const directives = [];
+  let match;
+  let line = 0;
+  let lineCounted = 0;
+
+  directiveRegex.lastIndex = 0;
+  while ((match = directiveRegex.exec(text))) {
+    for (; lineCounted < match.index; lineCounted++) {
+      if (text[lineCounted] === "\n") line++;
+    }
+    const ids = match[2].split(/\s--\s|\s--$/)[0].split(/[\s,]+/).filter(Boolean);
+    directives.push({ nextLine: Boolean(match[1]), line, ids });
+  }
+  return directives;
+}
+
+/**
+ * Returns true if a suppression names the finding's feature (web-features id or BCD key)
+ * An empty list names every feature
+ */
+function matchesIds(finding, ids) {
+  return ids.length === 0 || ids.includes(finding.key) || ids.includes(getFeatureId(finding.key));
+}
+
+// ---------------- .baselineignore ----------------
+// Directory → parsed .baselineignore that applies to it (or null)
+const ignoreFileCache = new Map();
+
+/**
+ * Returns true if a .baselineignore line names a feature rather than a path
+ * (a web-features id like "container-queries" or a BCD key like "css.selectors.has")
+ */
+function isFeatureEntry(entry) {
+  return Boolean(webFeatures.features[entry]) || /^(css|html|api|javascript)\.[\w.-]+$/.test(entry);
+}
+
+/**
+ * Parses a .baselineignore: feature ids to silence everywhere and gitignore-style path patterns
+ */
+function parseIgnoreFile(directory, content) {
+  const entries = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+  const features = entries.filter(isFeatureEntry);
+  const paths = ignore().add(entries.filter(entry => !isFeatureEntry(entry)));
+  return { directory, features, paths };
+}
+
+/**
+ * Finds the nearest .baselineignore in a directory or its parents
+ * Returns `null` when there is none
+ */
+function loadIgnoreFile(directory) {
+  if (ignoreFileCache.has(directory)) return ignoreFileCache.get(directory);
+
+  let ignoreFile = null;
+  const file = path.join(directory, ".baselineignore");
+  if (fs.existsSync(file)) {
+    ignoreFile = parseIgnoreFile(directory, fs.readFileSync(file, "utf8"));
+  } else if (path.dirname(directory) !== directory) {
+    ignoreFile = loadIgnoreFile(path.dirname(directory));
+  }
+  ignoreFileCache.set(directory, ignoreFile);
+  return ignoreFile;
+}
+
+/**
+ * Forgets loaded .baselineignore files (after one changed)
+ */
+function clearIgnoreFiles() {
+  ignoreFileCache.clear();
+}
+
+/**
+ * Returns true if the .baselineignore excludes a file by path
+ */
+function isPathIgnored(filePath, ignoreFile) {
+  if (!ignoreFile) return false;
+  const relative = path.relative(ignoreFile.directory, filePath);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return false;
+  return ignoreFile.paths.ignores(relative.split(path.sep).join("/"));
+}
+
+// ---------------- Apply ----------------
+/**
+ * Drops suppressed findings
+ * - `baseline-ignore [ids]` comments: those features (or all) in the whole file
+ * - `baseline-ignore-next-line [ids]` comments: those features (or all) on the following line,
+ *   or on every line of a markup tag that starts on it
+ * - `ignoredFeatures` (from .baselineignore): those features everywhere
+ * `getLine(offset)` converts a finding offset to its zero-based line,
+ * `getTagLine(offset)` returns the line of the tag the offset's line starts inside of (or null)
+ */
+function applySuppressions(findings, text, getLine, ignoredFeatures = [], getTagLine = () => null) {
+  const directives = parseDirectives(text);
+  if (directives.length === 0 && ignoredFeatures.length === 0) return findings;
+
+  return findings.filter((finding) => {
+    if (ignoredFeatures.length > 0 && matchesIds(finding, ignoredFeatures)) return false;
+    const line = getLine(finding.index);
+    let tagLine;
+    const isNextLine = (d) => {
+      if (d.line + 1 === line) return true;
+      if (tagLine === undefined) tagLine = getTagLine(finding.index);
+      return d.line + 1 === tagLine;
+    };
+    return !directives.some(d => (!d.nextLine || isNextLine(d)) && matchesIds(finding, d.ids));
+  });
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  parseDirectives,
+  loadIgnoreFile,
+  clearIgnoreFiles,
+  isPathIgnored,
+  applySuppressions
+};
@@ -0,0 +1,65 @@
+// ---------------- Baseline target ----------------
+// The target is what a feature must reach to pass:
+// - "widely": Baseline Widely available
+// - "newly":  Baseline Newly available (or widely)
+// - a year:   became Baseline in that year or earlier (e.g. "2023")
+
+/**
+ * Parses the `baselineChecker.target` setting
+ * Unknown values fall back to "widely"
+ */
+function parseTarget(value) {
+  const text = String(value ?? "widely").trim().toLowerCase();
+  if (text === "newly") return { kind: "newly" };
+  if (/^\d{4}$/.test(text)) return { kind: "year", year: Number(text) };
+  return { kind: "widely" };
+}
+
+/**
+ * Extracts the year from a Baseline date (also handles ranged dates like "≤2018-10-02")
+ */
+function getBaselineYear(date) {
+  const match = /(\d{4})/.exec(date || "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Returns true if a baseline status satisfies the target
+ * Decided from the dates a feature became Baseline (baseline_low_date) and widely available (baseline_high_date)
+ */
+function meetsTarget(status, target) {
+  if (!status || status.baseline === false) return false;
+  if (target.kind === "widely") return Boolean(status.baseline_high_date);
+  if (target.kind === "newly") return Boolean(status.baseline_low_date);
+
+  const year = getBaselineYear(status.baseline_low_date);
+  return year !== null && year <= target.year;
+}
+
+/**
+ * Groups a status into the highlight bucket it belongs to
+ * - limited: not Baseline at all
+ * - belowTarget: Baseline, but too recent for the target
+ * - meetsTarget: passes the target
+ */
+function getTargetLevel(status, target) {
+  if (!status || status.baseline === false) return "limited";
+  return meetsTarget(status, target) ? "meetsTarget" : "belowTarget";
+}
+
+/**
+ * Human-readable name of a target (e.g. "Baseline 2023")
+ */
+function describeTarget(target) {
+  if (target.kind === "year") return `Baseline ${target.year}`;
+  return target.kind === "newly" ? "Baseline Newly available" : "Baseline Widely available";
+}
+
+// ---------------- Exports ----------------
+module.exports = {
+  parseTarget,
+  getBaselineYear,
+  meetsTarget,
+  getTargetLevel,
+  describeTarget
+};
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const webFeatures = require('web-features/data.json');
+const bundledCatalog = require('../src/alternatives.json');
+const { loadCatalogFile, clearCatalogFiles, findAlternatives, formatAlternatives } = require('../src/alternatives');
+const { convertMarkdown } = require('../src/markdown');
+
+suite('Alternatives Catalog Test Suite', () => {
+	test('Bundles well-formed entries keyed by web-features id', () => {
+		Object.entries(bundledCatalog).forEach(([id, entry]) => {
+			assert.ok(webFeatures.features[id], `${id} is not a web-features id`);
+			assert.ok(entry.summary && entry.alternatives.length > 0, `${id} has no alternatives`);
+			entry.alternatives.forEach((alternative) => {
+				assert.ok(['fallback', 'polyfill', 'enhancement'].includes(alternative.kind), `${id}: ${alternative.kind}`);
+				assert.ok(alternative.title && (alternative.code || alternative.link), `${id}: ${alternative.title}`);
+			});
+		});
+		assert.ok(findAlternatives(['has']) && findAlternatives(['dialog']) && findAlternatives(['aspect-ratio']));
+	});
+
+	test('Adds the alternatives of the nearest .baseline-alternatives.json', () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webbaseline-'));
+		fs.mkdirSync(path.join(dir, 'src'));
+		fs.writeFileSync(path.join(dir, '.baseline-alternatives.json'), JSON.stringify({
+			has: { alternatives: [{ kind: 'fallback', title: 'Use our .is-selected class' }] },
+			'dialog-closedby': { summary: 'Use the design system modal.', alternatives: [{ kind: 'polyfill', title: 'ds-modal', link: 'https://example.com/ds' }] },
+			notes: 'ignored without alternatives'
+		}));
+
+		clearCatalogFiles();
+		const catalogFile = loadCatalogFile(path.join(dir, 'src'));
+		assert.deepStrictEqual(Object.keys(catalogFile.entries), ['has', 'dialog-closedby']);
+
+		const has = findAlternatives([undefined, 'has'], catalogFile);
+		assert.deepStrictEqual(has.alternatives.map(a => [a.origin, a.title]).slice(0, 2), [
+			['workspace', 'Use our .is-selected class'],
+			['bundled', 'Keep a working default and enhance inside @supports selector()']
+		]);
+		assert.strictEqual(findAlternatives(['dialog-closedby'], catalogFile).summary, 'Use the design system modal.');
+		assert.strictEqual(findAlternatives(['grid'], catalogFile), null);
+		fs.rmSync(dir, { recursive: true });
+	});
+
+	test('Writes an entry as Markdown', () => {
+		const markdown = formatAlternatives(findAlternatives(['view-transitions']), 'startViewTransition()');
+		assert.ok(markdown.startsWith('**Offline alternatives** for `startViewTransition()`\n\nAnimated transitions'));
+		assert.ok(markdown.includes('### Progressive enhancement: Feature-detect startViewTransition()\n'));
+		assert.ok(markdown.includes('```js\nfunction updateView(render) {'));
+		assert.ok(markdown.endsWith('[Documentation](https://developer.mozilla.org/docs/Web/API/View_Transition_API)'));
+	});
+
+	test('Renders markup in catalog prose as text', () => {
+		['dialog', 'customizable-select'].forEach((id) => {
+			const html = convertMarkdown(formatAlternatives(findAlternatives([id]), id));
+			assert.ok(!/<(dialog|select)\b/.test(html), id);
+		});
+		assert.ok(convertMarkdown(formatAlternatives(findAlternatives(['dialog']), 'dialog')).includes('without &lt;dialog&gt;'));
+
+		const workspace = { file: '.baseline-alternatives.json', entries: { dialog: { alternatives: [
+			{ kind: 'fallback', title: '<img src=x onerror=alert(1)>', link: 'javascript:alert(1)' }
+		] } } };
+		const html = convertMarkdown(formatAlternatives(findAlternatives(['dialog'], workspace), 'dialog'));
+		assert.ok(html.includes('Fallback: &lt;img src=x onerror=alert(1)&gt;'));
+		assert.ok(!html.includes('href="javascript:'));
+	});
+});
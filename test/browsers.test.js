@@ -0,0 +1,31 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getBcdStatus } = require('../src/baseline');
+const { resolveBrowserTargets, loadBrowserTargets, getFailingBrowsers, formatFailingBrowser } = require('../src/browsers');
+
+suite('Browserslist Test Suite', () => {
+	test('Resolves queries to the oldest version of each browser', () => {
+		assert.deepStrictEqual(resolveBrowserTargets('safari 15.2, safari 16.4, ios_saf 15.0-15.1, op_mini all'), {
+			safari: '15.2',
+			safari_ios: '15.0'
+		});
+	});
+
+	test('Reads the browserslist config of a project', () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+		fs.writeFileSync(path.join(dir, '.browserslistrc'), 'firefox 115\n');
+		assert.deepStrictEqual(loadBrowserTargets(dir), { firefox: '115' });
+		fs.rmSync(dir, { recursive: true });
+	});
+
+	test('Names the target browsers a feature fails in', () => {
+		const key = 'css.selectors.has';
+		const failing = getFailingBrowsers(key, getBcdStatus(key), { chrome: '120', safari: '15.2', samsunginternet_android: '19.0' });
+		assert.deepStrictEqual(failing.map(formatFailingBrowser), [
+			'Safari 15.2 (needs 15.4+)',
+			'Samsung Internet 19.0 (needs 20.0+)'
+		]);
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { run } = require('../src/cli');
+
+/**
+ * Runs the CLI in `cwd` and collects what it prints
+ */
+async function runCli(args, cwd) {
+	const output = { stdout: '', stderr: '' };
+	const stream = name => ({ write: (text) => { output[name] += text; } });
+	const code = await run(args, { cwd, stdout: stream('stdout'), stderr: stream('stderr') });
+	return { code, ...output };
+}
+
+suite('CLI Test Suite', () => {
+	let dir;
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webbaseline-'));
+		fs.mkdirSync(path.join(dir, 'src'));
+		fs.mkdirSync(path.join(dir, 'dist'));
+		fs.writeFileSync(path.join(dir, 'src', 'app.css'), '.a { display: grid; }\n.b:has(img) { color: red; }\n');
+		fs.writeFileSync(path.join(dir, 'dist', 'app.css'), '.b:has(img) {}\n');
+		fs.writeFileSync(path.join(dir, '.gitignore'), 'dist/\n');
+	});
+
+	teardown(() => fs.rmSync(dir, { recursive: true }));
+
+	test('Reports features below the target and exits with 1', async () => {
+		const { code, stdout } = await runCli([], dir);
+		assert.strictEqual(code, 1);
+		assert.match(stdout, /src[\\/]app\.css\n {2}2:3 +below target +':has\(\)' is Baseline/);
+		assert.doesNotMatch(stdout, /dist/);
+	});
+
+	test('Exits with 2, not 1, when the report cannot be written', () => {
+		const bin = path.join(__dirname, '..', 'bin', 'webbaseline.js');
+		const { status, stderr } = spawnSync(process.execPath, [bin, '-o', path.join(dir, 'missing', 'report.json')], { cwd: dir, encoding: 'utf8' });
+		assert.strictEqual(status, 2);
+		assert.match(stderr, /ENOENT/);
+	});
+
+	test('Exits with 0 when every feature meets the target', async () => {
+		const { code, stdout } = await runCli(['--target', '2024', 'src/*.css'], dir);
+		assert.strictEqual(code, 0);
+		assert.match(stdout, /No problems · 1 file checked against Baseline 2024/);
+	});
+
+	test('Prints reports in other formats', async () => {
+		const { code, stdout } = await runCli(['--format', 'json'], dir);
+		assert.strictEqual(code, 1);
+		assert.deepStrictEqual(JSON.parse(stdout).findings.map(f => [f.file, f.featureId]), [['src/app.css', 'has']]);
+	});
+
+	test('Rejects unknown targets', async () => {
+		const { code, stderr } = await runCli(['--target', 'soon'], dir);
+		assert.strictEqual(code, 2);
+		assert.match(stderr, /Invalid target "soon"/);
+	});
+});
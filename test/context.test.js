@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { analyzeSource, getFindingRange, getCodeContext } = require('../src/core');
+const { parseTarget } = require('../src/target');
+
+/**
+ * Code context of the first finding with a name, as the hover link sends it to the chat
+ */
+function contextOf(text, language, name) {
+	const findings = analyzeSource(text, language, { target: parseTarget('widely') });
+	const finding = findings.find(f => f.name === name);
+	const { code, context } = getCodeContext(text, getFindingRange(text, finding), findings);
+	return { code, context };
+}
+
+suite('Chat Context Test Suite', () => {
+	test('Sends a CSS declaration with its enclosing rule', () => {
+		const css = '.page { margin: 0; }\n.title {\n  color: red;\n  text-wrap: pretty;\n}\n';
+		assert.deepStrictEqual(contextOf(css, 'css', 'text-wrap: pretty'), {
+			code: 'text-wrap: pretty',
+			context: '.title {\n  color: red;\n  text-wrap: pretty;\n}'
+		});
+	});
+
+	test('Sends a markup tag or a script line with the lines around it', () => {
+		const html = '<main>\n  <dialog closedby="any">Hi</dialog>\n</main>\n';
+		assert.deepStrictEqual(contextOf(html, 'html', '<dialog closedby>'), {
+			code: '<dialog closedby="any">',
+			context: html.trimEnd()
+		});
+
+		const js = 'const copy = structuredClone(data);\n';
+		assert.deepStrictEqual(contextOf(js, 'javascript', 'structuredClone()'), { code: js.trimEnd(), context: '' });
+	});
+
+	test('Sends a selection, or its line when it is empty', () => {
+		const text = 'a\nb\nc';
+		assert.deepStrictEqual(getCodeContext(text, { start: 2, end: 2 }), { start: 2, end: 3, code: 'b', context: text });
+		assert.strictEqual(getCodeContext(text, { start: 0, end: 3 }).code, 'a\nb');
+	});
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const {
+	createConversation,
+	loadConversations,
+	saveConversation,
+	deleteConversation,
+	getSessionHistory,
+	conversationToMarkdown
+} = require('../src/conversations');
+
+/**
+ * In-memory stand-in for VS Code's workspaceState
+ */
+function createState() {
+	const values = new Map();
+	return {
+		get: (key, defaultValue) => (values.has(key) ? values.get(key) : defaultValue),
+		update: async (key, value) => { values.set(key, value); }
+	};
+}
+
+/**
+ * A conversation with one answered turn per [question, answer] pair
+ */
+function withTurns(details, pairs) {
+	const conversation = createConversation(details);
+	pairs.forEach(([question, answer]) => conversation.turns.push({ question, prompt: question || 'Feature: subgrid', answer }));
+	return conversation;
+}
+
+suite('Conversations Test Suite', () => {
+	test('Keeps the most recently saved conversation first', async () => {
+		const state = createState();
+		const subgrid = withTurns({ feature: 'subgrid', type: 'css' }, [[null, 'Use grid.']]);
+		const dialog = withTurns({ feature: 'dialog', type: 'html' }, [[null, 'Use a div.']]);
+
+		await saveConversation(state, subgrid);
+		await saveConversation(state, dialog);
+		subgrid.turns.push({ question: 'Why?', prompt: 'Why?', answer: 'Safari.' });
+		await saveConversation(state, subgrid);
+		assert.deepStrictEqual(loadConversations(state).map(c => [c.feature, c.turns.length]), [['subgrid', 2], ['dialog', 1]]);
+
+		await deleteConversation(state, subgrid.id);
+		assert.deepStrictEqual(loadConversations(state).map(c => c.feature), ['dialog']);
+	});
+
+	test('Restores the provider history from the saved turns', () => {
+		const conversation = withTurns({ feature: 'subgrid', type: 'css' }, [[null, 'Use grid.'], ['Why?', 'Safari.']]);
+		conversation.turns.unshift({ question: null, prompt: null, answer: 'Offline alternatives', offline: true });
+		assert.deepStrictEqual(getSessionHistory(conversation), [
+			{ role: 'user', text: 'Feature: subgrid' },
+			{ role: 'assistant', text: 'Use grid.' },
+			{ role: 'user', text: 'Why?' },
+			{ role: 'assistant', text: 'Safari.' }
+		]);
+	});
+
+	test('Exports a conversation as Markdown', () => {
+		const conversation = withTurns({ feature: 'text-wrap: pretty', type: 'css', targets: 'Baseline 2024', code: 'text-wrap: pretty' },
+			[[null, 'Use balance.\n'], ['Fallback?', 'None needed.']]);
+		conversation.createdAt = Date.UTC(2026, 9, 19);
+		conversation.turns[1].stopped = true;
+
+		assert.strictEqual(conversationToMarkdown(conversation), [
+			'# Baseline chat: `text-wrap: pretty` (CSS)',
+			'',
+			'Started 2026-10-19 · Targets: Baseline 2024',
+			'',
+			'```',
+			'text-wrap: pretty',
+			'```',
+			'',
+			'## Alternatives',
+			'',
+			'Use balance.',
+			'',
+			'## Fallback?',
+			'',
+			'None needed.',
+			'',
+			'_Stopped before the answer was complete._',
+			''
+		].join('\n'));
+	});
+});
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { analyzeCss } = require('../src/analyzers/css');
+
+/**
+ * Returns the source text each finding points at
+ */
+function matchedText(text, findings) {
+	return findings.map(f => text.substr(f.index, f.length));
+}
+
+/**
+ * Keeps only the findings for property names
+ */
+function properties(findings) {
+	return findings.filter(f => /^css\.properties\.[^.]+$/.test(f.key));
+}
+
+suite('CSS Analyzer Test Suite', () => {
+	test('Does not read comments, strings or selectors as declarations', () => {
+		const text = '/* color: red; */ a:hover{content: "gap: 1px;"}';
+		assert.deepStrictEqual(matchedText(text, properties(analyzeCss(text))), ['content']);
+	});
+
+	test('Finds the last declaration without a semicolon', () => {
+		const text = 'a{color:red;top:0}';
+		assert.deepStrictEqual(matchedText(text, analyzeCss(text)), ['color', 'top']);
+	});
+
+	test('Finds declarations inside nested rules', () => {
+		const text = '.a { .b { color: red } &:hover { gap: 1px } margin: 0 }';
+		assert.deepStrictEqual(matchedText(text, properties(analyzeCss(text))), ['color', 'gap', 'margin']);
+	});
+
+	test('Skips SCSS line comments and variables', () => {
+		const text = '$size: 1px;\n.a {\n  // top: 0\n  margin: $size;\n}';
+		assert.deepStrictEqual(matchedText(text, analyzeCss(text, 'scss')), ['margin']);
+	});
+
+	test('Checks value keywords, functions and units separately from the property', () => {
+		const text = 'a{display:grid; color: oklch(70% 0.1 200); height: 100dvh}';
+		const findings = analyzeCss(text);
+		assert.deepStrictEqual(matchedText(text, findings), ['display', 'grid', 'color', 'oklch', 'height', '100dvh']);
+		assert.deepStrictEqual(findings.map(f => f.key), [
+			'css.properties.display',
+			'css.properties.display.grid',
+			'css.properties.color',
+			'css.types.color.oklch',
+			'css.properties.height',
+			'css.types.length.viewport_percentage_units_dynamic'
+		]);
+	});
+
+	test('Checks pseudo-classes, pseudo-elements, nesting and combinators', () => {
+		const text = '.card:has(> img)::backdrop, a + b { & :focus-visible { top: 0 } }';
+		assert.deepStrictEqual(analyzeCss(text).map(f => f.name), [
+			':has()', '>', '::backdrop', '+', '&', ':focus-visible', 'top'
+		]);
+	});
+
+	test('Leaves SCSS parent selectors alone', () => {
+		const text = '.a { &:hover { top: 0 } }';
+		assert.deepStrictEqual(analyzeCss(text, 'scss').map(f => f.name), [':hover', 'top']);
+	});
+
+	test('Checks at-rules, media features and prelude functions', () => {
+		const text = '@media (prefers-reduced-motion: reduce) {} @container style(--x: 1) {} @layer base;';
+		assert.deepStrictEqual(analyzeCss(text).map(f => f.key), [
+			'css.at-rules.media',
+			'css.at-rules.media.prefers-reduced-motion',
+			'css.at-rules.container',
+			'css.at-rules.container.style_queries_for_custom_properties',
+			'css.at-rules.layer'
+		]);
+	});
+
+	test('Checks container query features', () => {
+		const text = '@container card (width > 400px) and (min-inline-size: 20em) {} @container scroll-state(stuck: top) {}';
+		// Size features have no compat data of their own: the @container finding covers them
+		assert.deepStrictEqual(analyzeCss(text).map(f => f.key), [
+			'css.at-rules.container',
+			'css.at-rules.container',
+			'css.at-rules.container.scroll-state_queries'
+		]);
+	});
+
+	test('Resolves descriptors inside @font-face', () => {
+		const text = '@font-face { font-display: swap }';
+		assert.ok(analyzeCss(text).some(f => f.key === 'css.at-rules.font-face.font-display'));
+	});
+
+	test('Marks usages guarded by @supports, fallbacks and prefixed pairs', () => {
+		const guardOf = (text, name) => analyzeCss(text).filter(f => f.name === name).pop().guard;
+		assert.deepStrictEqual(guardOf('@supports selector(:has(a)) { .b:has(img) {} }', ':has()'),
+			{ type: 'supports', detail: '@supports selector(:has(a))' });
+		assert.deepStrictEqual(guardOf('.a { color: #fff; color: oklch(1 0 0) }', 'oklch()'), { type: 'fallback', detail: 'color: #fff' });
+		assert.deepStrictEqual(guardOf('.a { -webkit-backdrop-filter: none; backdrop-filter: none }', 'backdrop-filter'),
+			{ type: 'prefix', detail: '-webkit-backdrop-filter' });
+		assert.strictEqual(guardOf('@supports not (text-wrap: balance) { .a { text-wrap: balance } }', 'text-wrap: balance'), undefined);
+		assert.strictEqual(guardOf('.a { color: oklch(1 0 0); color: #fff }', 'oklch()'), undefined);
+	});
+
+	test('Only a leading not negates @supports', () => {
+		const guardOf = (text, name) => analyzeCss(text).filter(f => f.name === name).pop().guard;
+		const text = '@supports (text-wrap: balance) and (not (display: inline-grid)) { .a { text-wrap: balance; display: inline-grid } }';
+		assert.deepStrictEqual(guardOf(text, 'text-wrap: balance'),
+			{ type: 'supports', detail: '@supports (text-wrap: balance) and (not (display: inline-grid))' });
+		assert.strictEqual(guardOf(text, 'display: inline-grid'), undefined);
+		assert.strictEqual(guardOf('@supports (not (text-wrap: balance)) { .a { text-wrap: balance } }', 'text-wrap: balance'), undefined);
+		assert.strictEqual(guardOf('@supports ((text-wrap: balance)) { .a { text-wrap: balance } }', 'text-wrap: balance').detail,
+			'@supports ((text-wrap: balance))');
+	});
+});
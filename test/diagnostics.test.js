@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { parseTarget } = require('../src/target');
+const { analyzeSource, isProblem, getFindingMessage } = require('../src/core');
+
+const target = parseTarget('widely');
+
+suite('Diagnostics Test Suite', () => {
+	test('Reports only findings that miss the target without a guard', () => {
+		const findings = analyzeSource('.a { color: red; }\n.b:has(img) { field-sizing: content; }', 'css', { target });
+		assert.deepStrictEqual(findings.map(f => [f.key, f.level, isProblem(f)]), [
+			['css.properties.color', 'meetsTarget', false],
+			['css.selectors.has', 'belowTarget', true],
+			['css.properties.field-sizing', 'limited', true],
+			['css.properties.field-sizing.content', 'limited', true]
+		]);
+		assert.strictEqual(isProblem({ level: 'guarded' }), false);
+	});
+
+	test('Describes why a finding misses the target', () => {
+		const [, has, fieldSizing] = analyzeSource('.a { color: red; }\n.b:has(img) { field-sizing: content; }', 'css', { target });
+		assert.strictEqual(getFindingMessage(has, target),
+			'\':has()\' is Baseline since Dec 2023 but does not meet the target (Baseline Widely available).');
+		assert.match(getFindingMessage(fieldSizing, target),
+			/^'field-sizing' has limited availability and is not Baseline yet\. Not supported in: .*Safari/);
+
+		const failing = { ...has, failingBrowsers: [{ browser: 'safari', version: '15.2', since: '15.4' }] };
+		assert.strictEqual(getFindingMessage(failing, target),
+			'\':has()\' is not supported in your browserslist targets: Safari 15.2 (needs 15.4+).');
+	});
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { clearIgnoreFiles } = require('../src/suppressions');
+const { getFileLanguage, parseGitignore, isGitignored, isScannedFile } = require('../src/core');
+
+suite('Workspace Files Test Suite', () => {
+	test('Maps extensions to languages and skips declarations and minified bundles', () => {
+		assert.strictEqual(getFileLanguage('/w/src/App.TSX'), 'typescriptreact');
+		assert.strictEqual(getFileLanguage('/w/src/card.vue'), 'vue');
+		assert.strictEqual(getFileLanguage('/w/src/types.d.ts'), null);
+		assert.strictEqual(getFileLanguage('/w/dist/app.min.js'), null);
+		assert.strictEqual(getFileLanguage('/w/README.md'), null);
+	});
+
+	test('Skips files excluded by .gitignore and .baselineignore', () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webbaseline-'));
+		const write = (file, content = '') => {
+			fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+			fs.writeFileSync(path.join(dir, file), content);
+		};
+		write('.gitignore', 'dist/\n*.generated.css\n');
+		write('src/.gitignore', 'vendor/\n');
+		write('.baselineignore', 'legacy/\nhas\n');
+		const gitignores = ['.gitignore', 'src/.gitignore'].map(file => parseGitignore(path.dirname(path.join(dir, file)), fs.readFileSync(path.join(dir, file), 'utf8')));
+		const file = name => path.join(dir, name);
+
+		assert.strictEqual(isGitignored(file('dist/app.js'), gitignores), true);
+		assert.strictEqual(isGitignored(file('src/theme.generated.css'), gitignores), true);
+		assert.strictEqual(isGitignored(file('src/vendor/lib.js'), gitignores), true);
+		assert.strictEqual(isGitignored(file('vendor/lib.js'), gitignores), false);
+
+		clearIgnoreFiles();
+		assert.deepStrictEqual(['src/app.css', 'src/vendor/lib.js', 'legacy/old.html', 'src/types.d.ts', 'vendor/lib.js']
+			.filter(name => isScannedFile(file(name), gitignores)), ['src/app.css', 'vendor/lib.js']);
+		fs.rmSync(dir, { recursive: true });
+	});
+});
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const { analyzeCss } = require('../src/analyzers/css');
+const { getFallbackValue, getPrefixedNames, getCssFixes } = require('../src/fixes');
+
+/**
+ * Applies the first edit of each fix for the named finding
+ */
+function applyFixes(text, name) {
+	const finding = analyzeCss(text).find(f => f.name === name);
+	return getCssFixes(text, finding).map(({ title, edits: [edit] }) => ({
+		title,
+		text: text.slice(0, edit.start) + edit.text + text.slice(edit.end)
+	}));
+}
+
+suite('Quick Fixes Test Suite', () => {
+	test('Knows fallback values', () => {
+		assert.strictEqual(getFallbackValue('height', '100dvh'), '100vh');
+		assert.strictEqual(getFallbackValue('overflow-x', 'clip'), 'hidden');
+		assert.strictEqual(getFallbackValue('color', 'oklch(62.8% 0.2577 29.23)'), '#ff0000');
+		assert.strictEqual(getFallbackValue('color', 'oklch(var(--l) 0.1 20)'), null);
+	});
+
+	test('Reads vendor prefixes from the compat data', () => {
+		assert.deepStrictEqual(getPrefixedNames('css.properties.backdrop-filter', 'backdrop-filter'), ['-webkit-backdrop-filter']);
+		assert.deepStrictEqual(getPrefixedNames('css.properties.width.stretch', 'stretch'), ['-webkit-fill-available', '-moz-available']);
+	});
+
+	test('Inserts fallback and prefixed declarations before the declaration', () => {
+		const text = '.a {\n  color: oklch(62.8% 0.2577 29.23);\n  backdrop-filter: none;\n}';
+		assert.deepStrictEqual(applyFixes(text, 'oklch()')[0], {
+			title: 'Add fallback color: #ff0000',
+			text: '.a {\n  color: #ff0000;\n  color: oklch(62.8% 0.2577 29.23);\n  backdrop-filter: none;\n}'
+		});
+		assert.strictEqual(applyFixes(text, 'backdrop-filter')[0].text,
+			'.a {\n  color: oklch(62.8% 0.2577 29.23);\n  -webkit-backdrop-filter: none;\n  backdrop-filter: none;\n}');
+	});
+
+	test('Wraps the rule in @supports', () => {
+		const fixes = applyFixes('.b:has(> img) { top: 0 }', ':has()');
+		assert.deepStrictEqual(fixes, [{
+			title: 'Wrap in @supports selector(:has(> img))',
+			text: '@supports selector(:has(> img)) {\n  .b:has(> img) { top: 0 }\n}'
+		}]);
+	});
+});
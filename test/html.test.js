@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { analyzeHtml, analyzeJsx } = require('../src/analyzers/html');
+
+suite('HTML Analyzer Test Suite', () => {
+	test('Finds opening and closing tags but skips comments and script content', () => {
+		const text = '<!-- <dialog> --><search></search><script>if (a <b) {}</script>';
+		assert.deepStrictEqual(analyzeHtml(text).map(f => f.key), [
+			'html.elements.search',
+			'html.elements.search',
+			'html.elements.script',
+			'html.elements.script'
+		]);
+	});
+
+	test('Resolves element and global attributes', () => {
+		const text = '<img loading="lazy" popover>';
+		const findings = analyzeHtml(text);
+		assert.deepStrictEqual(findings.map(f => f.key), [
+			'html.elements.img',
+			'html.elements.img.loading',
+			'html.global_attributes.popover'
+		]);
+		assert.strictEqual(text.substr(findings[2].index, findings[2].length), 'popover');
+	});
+
+	test('Resolves enumerated attribute values on their own range', () => {
+		const text = '<input type="color"><link rel="preload">';
+		const values = analyzeHtml(text).filter(f => f.name.includes('='));
+		assert.deepStrictEqual(values.map(f => [f.key, text.substr(f.index, f.length)]), [
+			['html.elements.input.type_color', 'color'],
+			['html.elements.link.rel.preload', 'preload']
+		]);
+	});
+
+	test('Analyzes <style> blocks and style attributes at document offsets', () => {
+		const text = '<style>a:has(b) { color: {{ c }} }</style><p style="display: grid">';
+		const css = analyzeHtml(text).filter(f => f.type === 'css');
+		assert.deepStrictEqual(css.map(f => text.substr(f.index, f.length)), [':has', 'color', 'display', 'grid']);
+	});
+
+	test('Analyzes JavaScript in <script> blocks but not data blocks', () => {
+		const text = '<script>structuredClone(a)</script><script type="application/json">{"structuredClone(": 1}</script>';
+		assert.deepStrictEqual(analyzeHtml(text).filter(f => f.type === 'js').map(f => f.index), [8]);
+	});
+
+	test('Analyzes Vue components without reporting their top-level blocks', () => {
+		const text = '<template>\n<p popover></p>\n</template>\n<style lang="scss">\n.a { &:has(b) { top: 0 } }\n</style>';
+		assert.deepStrictEqual(analyzeHtml(text, { component: true }).map(f => f.name), [
+			'p', 'popover', 'p', ':has()', 'top'
+		]);
+		const inline = '<template><div popover></div></template>\n<template>\n<template v-if="x"><p></p></template>\n</template>';
+		assert.deepStrictEqual(analyzeHtml(inline, { component: true }).map(f => `${f.name}@${f.index}`), [
+			'div@11', 'popover@15', 'div@25', 'template@53', 'p@72', 'p@76', 'template@80'
+		]);
+	});
+
+	test('Finds intrinsic JSX elements but not components or type arguments', () => {
+		const text = 'const m: Map<string, number> = x;\nconst a = <div popover={open}><Button inert /></div>;';
+		assert.deepStrictEqual(analyzeJsx(text).map(f => f.name), ['Map', 'div', 'popover', 'div']);
+	});
+
+	test('Reads JSX text as text, not code', () => {
+		const text = 'const a = (\n  <div>\n    <p>Don\'t fetch() https://x.dev</p>\n    <dialog open>{list.at(-1)}</dialog>\n  </div>\n);';
+		assert.deepStrictEqual(analyzeJsx(text).map(f => f.name), [
+			'div', 'p', 'p', 'dialog', '<dialog open>', 'Array.prototype.at()', 'dialog', 'div'
+		]);
+	});
+});
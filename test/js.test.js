@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { analyzeJs } = require('../src/analyzers/js');
+
+suite('JS Analyzer Test Suite', () => {
+	test('Resolves globals, members and newer instance methods', () => {
+		const text = 'const copy = structuredClone(obj);\nconst { promise } = Promise.withResolvers();\nlist.toSorted().map(fn);';
+		assert.deepStrictEqual(analyzeJs(text).map(f => [f.key, text.substr(f.index, f.length)]), [
+			['api.structuredClone', 'structuredClone'],
+			['javascript.builtins.Promise.withResolvers', 'Promise.withResolvers'],
+			['javascript.builtins.Array.toSorted', 'toSorted']
+		]);
+	});
+
+	test('Maps global objects to their interface', () => {
+		const text = 'navigator.clipboard.writeText(text);';
+		assert.strictEqual(analyzeJs(text)[0].key, 'api.Navigator.clipboard');
+	});
+
+	test('Ignores comments, strings and regular expressions', () => {
+		const text = '// structuredClone(a)\nconst s = "fetch(x)", r = /list.toSorted(/g;';
+		assert.deepStrictEqual(analyzeJs(text), []);
+	});
+
+	test('Does not report static calls as instance methods', () => {
+		const text = 'const b = Buffer.from(x), it = Iterator.from(y), s = a.union(b);';
+		assert.deepStrictEqual(analyzeJs(text).map(f => [f.name, text.substr(f.index, f.length)]), [
+			['Iterator.from()', 'Iterator.from'],
+			['Set.prototype.union()', 'union']
+		]);
+	});
+
+	test('Finds code inside template literal interpolations', () => {
+		const text = 'const s = `last: ${arr.at(-1)} copy: ${structuredClone({ a: `fetch(${x})` })}`, t = `navigator.share()`;';
+		assert.deepStrictEqual(analyzeJs(text).map(f => text.substr(f.index, f.length)), ['at', 'structuredClone']);
+	});
+});
@@ -0,0 +1,17 @@
+const assert = require('assert');
+const { convertMarkdown } = require('../src/markdown');
+
+suite('Markdown Test Suite', () => {
+	test('Escapes markup outside code and keeps code blocks with their buttons', () => {
+		const html = convertMarkdown('## Use <dialog>\n<img src=x onerror=alert(1)> **`<b>`**\n```html\n<dialog open></dialog>\n```');
+		assert.ok(html.startsWith('<h2>Use &lt;dialog&gt;</h2><br>&lt;img src=x onerror=alert(1)&gt; <strong><code>&lt;b&gt;</code></strong>'));
+		assert.ok(html.includes('<pre><code>&lt;dialog open&gt;&lt;/dialog&gt;\n</code></pre>'));
+		assert.ok(html.includes('<button data-action="insert"'));
+	});
+
+	test('Only links http(s) URLs', () => {
+		assert.strictEqual(convertMarkdown('[MDN](https://developer.mozilla.org/"x)'),
+			'<a href="https://developer.mozilla.org/&quot;x" target="_blank">MDN</a>');
+		assert.strictEqual(convertMarkdown('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+	});
+});
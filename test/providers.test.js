@@ -0,0 +1,139 @@
+const assert = require('assert');
+const http = require('http');
+const { createProvider, getApiKey } = require('../src/providers');
+const { createMockProvider } = require('../src/providers/mock');
+
+suite('AI Providers Test Suite', () => {
+	test('Returns no provider in "none" mode and rejects unknown providers', () => {
+		assert.strictEqual(createProvider({ provider: 'none' }), null);
+		assert.throws(() => createProvider({ provider: 'acme' }), /Unknown AI provider "acme"/);
+		assert.throws(() => createProvider({ provider: 'openai', endpoint: 'http://localhost:11434/v1', model: '' }), /baselineChecker\.ai\.model/);
+	});
+
+	test('Reads API keys from secret storage before the environment', async () => {
+		const stored = new Map([['baselineChecker.apiKey.gemini', 'stored-key']]);
+		const secrets = { get: async key => stored.get(key) };
+		const env = { GEMINI_API_KEY: 'env-gemini', OPENAI_API_KEY: 'env-openai' };
+		assert.strictEqual(await getApiKey(secrets, 'gemini', env), 'stored-key');
+		assert.strictEqual(await getApiKey(secrets, 'openai', env), 'env-openai');
+		assert.strictEqual(await getApiKey(secrets, 'openai', {}), undefined);
+		assert.strictEqual(await getApiKey(secrets, 'mock', env), undefined);
+	});
+
+	test('Mock provider answers from its replies and records the chat', async () => {
+		const provider = createMockProvider({ replies: ['Use flexbox.'] });
+		const session = provider.startChat('Be brief.');
+		assert.strictEqual(await session.sendMessage('Alternative to subgrid?'), 'Use flexbox.');
+		assert.strictEqual(await session.sendMessage('Why?'), 'Mock reply to: Why?');
+		assert.deepStrictEqual(provider.chats, [{ system: 'Be brief.', messages: ['Alternative to subgrid?', 'Why?'] }]);
+	});
+
+	test('Continues a restored conversation', async () => {
+		const provider = createMockProvider();
+		const session = provider.startChat('Be brief.', [{ role: 'user', text: 'Alternative to subgrid?' }, { role: 'assistant', text: 'Use grid.' }]);
+		await session.sendMessage('Why?');
+		assert.deepStrictEqual(provider.chats[0].messages, ['Alternative to subgrid?', 'Why?']);
+	});
+
+	test('OpenAI-compatible provider posts the conversation to /chat/completions', async () => {
+		const requests = [];
+		const server = http.createServer((request, response) => {
+			let body = '';
+			request.on('data', (chunk) => { body += chunk; });
+			request.on('end', () => {
+				requests.push({ url: request.url, auth: request.headers.authorization, body: JSON.parse(body) });
+				response.setHeader('Content-Type', 'application/json');
+				response.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: `Answer ${requests.length}` } }] }));
+			});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+		try {
+			const provider = createProvider({
+				provider: 'openai',
+				endpoint: `http://127.0.0.1:${server.address().port}/v1/`,
+				model: 'llama3.2',
+				temperature: 0.2,
+				maxOutputTokens: 100
+			});
+			const session = provider.startChat('Be brief.');
+			assert.strictEqual(await session.sendMessage('First'), 'Answer 1');
+			assert.strictEqual(await session.sendMessage('Second'), 'Answer 2');
+
+			const [, second] = requests;
+			assert.strictEqual(second.url, '/v1/chat/completions');
+			assert.strictEqual(second.auth, undefined);
+			assert.deepStrictEqual(second.body, {
+				model: 'llama3.2',
+				messages: [
+					{ role: 'system', content: 'Be brief.' },
+					{ role: 'user', content: 'First' },
+					{ role: 'assistant', content: 'Answer 1' },
+					{ role: 'user', content: 'Second' }
+				],
+				temperature: 0.2,
+				max_tokens: 100
+			});
+		} finally {
+			server.close();
+		}
+	});
+
+	test('Streams replies in chunks and stops when aborted', async () => {
+		const session = createMockProvider({ replies: ['Use a media query instead.', 'Use flexbox.'] }).startChat();
+		const chunks = [];
+		for await (const chunk of session.sendMessageStream('First')) chunks.push(chunk);
+		assert.deepStrictEqual(chunks, ['Use ', 'a ', 'media ', 'query ', 'instead.']);
+
+		const controller = new AbortController();
+		const stopped = [];
+		await assert.rejects(async () => {
+			for await (const chunk of session.sendMessageStream('Second', { signal: controller.signal })) {
+				stopped.push(chunk);
+				controller.abort();
+			}
+		}, { name: 'AbortError' });
+		assert.deepStrictEqual(stopped, ['Use ']);
+	});
+
+	test('OpenAI-compatible provider reads streamed server-sent events', async () => {
+		const bodies = [];
+		const server = http.createServer((request, response) => {
+			let body = '';
+			request.on('data', (chunk) => { body += chunk; });
+			request.on('end', () => {
+				bodies.push(JSON.parse(body));
+				if (!bodies[bodies.length - 1].stream) {
+					response.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Because.' } }] }));
+					return;
+				}
+				response.setHeader('Content-Type', 'text/event-stream');
+				['Use ', 'flex', 'box.'].forEach(content => {
+					response.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+				});
+				response.end(': keep-alive\n\ndata: [DONE]\n\n');
+			});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+		try {
+			const provider = createProvider({ provider: 'openai', endpoint: `http://127.0.0.1:${server.address().port}/v1`, model: 'llama3.2' });
+			const session = provider.startChat(undefined, [{ role: 'user', text: 'Hi' }, { role: 'assistant', text: 'Hello!' }]);
+			const chunks = [];
+			for await (const chunk of session.sendMessageStream('Alternative to subgrid?')) chunks.push(chunk);
+			assert.deepStrictEqual(chunks, ['Use ', 'flex', 'box.']);
+			assert.strictEqual(bodies[0].stream, true);
+
+			await session.sendMessage('Why?');
+			assert.deepStrictEqual(bodies[1].messages, [
+				{ role: 'user', content: 'Hi' },
+				{ role: 'assistant', content: 'Hello!' },
+				{ role: 'user', content: 'Alternative to subgrid?' },
+				{ role: 'assistant', content: 'Use flexbox.' },
+				{ role: 'user', content: 'Why?' }
+			]);
+		} finally {
+			server.close();
+		}
+	});
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { getBcdStatus } = require('../src/baseline');
+const { parseTarget } = require('../src/target');
+const { evaluateFindings } = require('../src/core');
+const { createReport, formatSarif, formatHtml } = require('../src/report');
+
+/**
+ * Report for one file using `:has()` (newly available) and `display` (widely available)
+ */
+function sampleReport() {
+	const target = parseTarget('widely');
+	const findings = evaluateFindings([
+		{ index: 2, length: 4, name: ':has()', key: 'css.selectors.has', type: 'css', status: getBcdStatus('css.selectors.has') },
+		{ index: 12, length: 7, name: 'display', key: 'css.properties.display', type: 'css', status: getBcdStatus('css.properties.display') }
+	], target, null).map(f => ({ ...f, line: 1, column: f.index + 1, endLine: 1, endColumn: f.index + f.length + 1 }));
+	return createReport([{ file: 'src\\app.css', findings }], { target, fileCount: 1 });
+}
+
+suite('Report Test Suite', () => {
+	test('Lists the findings that miss the target with their Baseline data', () => {
+		const report = sampleReport();
+		assert.deepStrictEqual(report.summary, { files: 1, limited: 0, belowTarget: 1, guarded: 0, meetsTarget: 1 });
+		assert.strictEqual(report.findings.length, 1);
+
+		const [finding] = report.findings;
+		assert.strictEqual(finding.file, 'src/app.css');
+		assert.strictEqual(finding.featureId, 'has');
+		assert.strictEqual(finding.baseline, 'low');
+		assert.strictEqual(finding.baselineLowDate, '2023-12-19');
+		assert.deepStrictEqual([finding.line, finding.column, finding.endColumn], [1, 3, 7]);
+	});
+
+	test('Writes SARIF 2.1.0 with one rule per feature', () => {
+		const sarif = JSON.parse(formatSarif(sampleReport()));
+		const [run] = sarif.runs;
+		assert.strictEqual(sarif.version, '2.1.0');
+		assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['has']);
+		assert.strictEqual(run.results[0].level, 'note');
+		assert.deepStrictEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 1, startColumn: 3, endLine: 1, endColumn: 7 });
+	});
+
+	test('Escapes the HTML report', () => {
+		const report = sampleReport();
+		report.findings[0].name = '<script>';
+		const html = formatHtml(report);
+		assert.match(html, /<code>&lt;script&gt;<\/code>/);
+		assert.doesNotMatch(html, /<script>/);
+	});
+});
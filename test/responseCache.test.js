@@ -0,0 +1,43 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getCacheKey, createResponseCache } = require('../src/responseCache');
+
+const day = 24 * 60 * 60 * 1000;
+
+suite('Response Cache Test Suite', () => {
+	let dir;
+	setup(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-cache-')); });
+	teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	test('Keys change with anything the answer depends on', () => {
+		const parts = { provider: 'gemini', model: '', featureId: 'subgrid', baseline: 'newly', prompt: 'Alternatives?' };
+		assert.strictEqual(getCacheKey(parts), getCacheKey({ ...parts }));
+		assert.notStrictEqual(getCacheKey(parts), getCacheKey({ ...parts, model: 'gemini-2.5-flash' }));
+		assert.notStrictEqual(getCacheKey(parts), getCacheKey({ ...parts, unsupported: ['Safari'] }));
+	});
+
+	test('Reuses answers until they expire and keeps them on disk', async () => {
+		let time = 1000;
+		const file = path.join(dir, 'storage', 'ai-responses.json');
+		const cache = createResponseCache(file, { now: () => time });
+		assert.strictEqual(await cache.get('a', 7 * day), null);
+
+		await cache.set('a', 'Use flexbox.', 7 * day);
+		time += 6 * day;
+		assert.deepStrictEqual(await createResponseCache(file, { now: () => time }).get('a', 7 * day), { answer: 'Use flexbox.', createdAt: 1000 });
+		time += day;
+		assert.strictEqual(await cache.get('a', 7 * day), null);
+	});
+
+	test('Clears every answer', async () => {
+		const file = path.join(dir, 'ai-responses.json');
+		const cache = createResponseCache(file);
+		await cache.set('a', 'One', day);
+		await cache.set('b', 'Two', day);
+		assert.strictEqual(await cache.clear(), 2);
+		assert.strictEqual(fs.existsSync(file), false);
+		assert.strictEqual(await createResponseCache(file).get('a', day), null);
+	});
+});
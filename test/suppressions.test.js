@@ -0,0 +1,81 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDirectives, loadIgnoreFile, clearIgnoreFiles, isPathIgnored } = require('../src/suppressions');
+const { analyzeSource, getCommentSyntax, getEnclosingTagStart, getFileSuppressionLine } = require('../src/core');
+const { parseTarget } = require('../src/target');
+
+const target = parseTarget('widely');
+const css = '.a { container-type: inline-size; }\n.b:has(img) { color: red; }\n';
+
+/**
+ * Keys of the features reported in a text
+ */
+function keys(text, language, options = {}) {
+	return analyzeSource(text, language, { target, ...options }).map(f => f.key);
+}
+
+suite('Suppressions Test Suite', () => {
+	test('Reads ignore comments with their ids and reason', () => {
+		const directives = parseDirectives('a\n// baseline-ignore-next-line has, css.properties.gap -- fallback below\n<!-- baseline-ignore-->\n');
+		assert.deepStrictEqual(directives, [
+			{ nextLine: true, line: 1, ids: ['has', 'css.properties.gap'] },
+			{ nextLine: false, line: 2, ids: [] },
+		]);
+		assert.deepStrictEqual(parseDirectives('/* baseline-ignored */'), []);
+	});
+
+	test('Silences the next line or the whole file', () => {
+		assert.deepStrictEqual(keys(`/* baseline-ignore-next-line */\n${css}`, 'css'), ['css.selectors.has', 'css.properties.color']);
+		assert.deepStrictEqual(keys(`${css}/* baseline-ignore container-queries */`, 'css'), ['css.selectors.has', 'css.properties.color']);
+		assert.deepStrictEqual(keys('<!-- baseline-ignore -->\n<dialog></dialog>', 'html'), []);
+	});
+
+	test('Silences every line of a tag starting on the next line', () => {
+		const html = '<!-- baseline-ignore-next-line -->\n<dialog\n  closedby="any"></dialog>\n<dialog></dialog>';
+		assert.deepStrictEqual(keys(html, 'html'), ['html.elements.dialog', 'html.elements.dialog']);
+	});
+
+	test('Silences the features listed in .baselineignore', () => {
+		assert.deepStrictEqual(keys(css, 'css', { ignoredFeatures: ['css.selectors.has'] }), [
+			'css.properties.container-type',
+			'css.properties.container-type.inline-size',
+			'css.properties.color',
+		]);
+	});
+
+	test('Loads the nearest .baselineignore with paths and feature ids', () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webbaseline-'));
+		fs.mkdirSync(path.join(dir, 'src'));
+		fs.writeFileSync(path.join(dir, '.baselineignore'), '# Legacy pages\nlegacy/\ncontainer-queries\ncss.selectors.has\n');
+
+		clearIgnoreFiles();
+		const ignoreFile = loadIgnoreFile(path.join(dir, 'src'));
+		assert.deepStrictEqual(ignoreFile.features, ['container-queries', 'css.selectors.has']);
+		assert.strictEqual(isPathIgnored(path.join(dir, 'legacy', 'old.css'), ignoreFile), true);
+		assert.strictEqual(isPathIgnored(path.join(dir, 'src', 'app.css'), ignoreFile), false);
+		fs.rmSync(dir, { recursive: true });
+	});
+
+	test('Picks the comment syntax of the insertion point', () => {
+		const vue = '<template>\n  <dialog></dialog>\n</template>\n<style>\n.a {}\n</style>\n';
+		assert.deepStrictEqual(getCommentSyntax(vue, vue.indexOf('  <dialog'), 'vue'), ['<!-- ', ' -->']);
+		assert.deepStrictEqual(getCommentSyntax(vue, vue.indexOf('.a'), 'vue'), ['/* ', ' */']);
+		assert.deepStrictEqual(getCommentSyntax('return (\n  <div>\n', 16, 'javascriptreact'), ['{/* ', ' */}']);
+		assert.deepStrictEqual(getCommentSyntax('const f = () =>\n', 16, 'javascriptreact'), ['// ', '']);
+	});
+
+	test('Places suppression comments outside tags, shebangs and @charset', () => {
+		const vue = '<template>\n  <dialog\n    closedby="any">\n  </dialog>\n</template>\n<script>\nif (a <b\n) {}\n</script>\n';
+		assert.strictEqual(getEnclosingTagStart(vue, vue.indexOf('    closedby'), 'vue'), vue.indexOf('<dialog'));
+		assert.strictEqual(getEnclosingTagStart(vue, vue.indexOf('  </dialog>'), 'vue'), -1);
+		assert.strictEqual(getEnclosingTagStart(vue, vue.indexOf(') {}'), 'vue'), -1);
+		const jsx = 'const a = <div\n  onClick={() => x > 1}\n  popover>\n</div>;';
+		assert.strictEqual(getEnclosingTagStart(jsx, jsx.indexOf('  popover'), 'javascriptreact'), jsx.indexOf('<div'));
+
+		assert.strictEqual(getFileSuppressionLine('#!/usr/bin/env node\nstructuredClone(a);'), 1);
+		assert.strictEqual(getFileSuppressionLine('@charset "utf-8";\n.a {}'), 1);
+		assert.strictEqual(getFileSuppressionLine('.a {}'), 0);
+	});
+});
@@ -0,0 +1,23 @@
+const assert = require('assert');
+const { parseTarget, meetsTarget, getTargetLevel, describeTarget } = require('../src/target');
+
+const widely = { baseline: 'high', baseline_low_date: '2020-01-15', baseline_high_date: '2022-07-15' };
+const newly = { baseline: 'low', baseline_low_date: '2024-03-05', baseline_high_date: null };
+const limited = { baseline: false, baseline_low_date: null, baseline_high_date: null };
+
+suite('Baseline Target Test Suite', () => {
+	test('Parses the target setting', () => {
+		assert.deepStrictEqual(parseTarget('2023'), { kind: 'year', year: 2023 });
+		assert.deepStrictEqual(parseTarget('Newly'), { kind: 'newly' });
+		assert.deepStrictEqual(parseTarget('soon'), { kind: 'widely' });
+		assert.strictEqual(describeTarget(parseTarget('2023')), 'Baseline 2023');
+	});
+
+	test('Decides what passes each target from the Baseline dates', () => {
+		const levels = target => [widely, newly, limited].map(status => getTargetLevel(status, parseTarget(target)));
+		assert.deepStrictEqual(levels('widely'), ['meetsTarget', 'belowTarget', 'limited']);
+		assert.deepStrictEqual(levels('newly'), ['meetsTarget', 'meetsTarget', 'limited']);
+		assert.deepStrictEqual(levels('2023'), ['meetsTarget', 'belowTarget', 'limited']);
+		assert.strictEqual(meetsTarget({ ...widely, baseline_low_date: '≤2018-10-02' }, parseTarget('2018')), true);
+	});
+});